@@ -0,0 +1,55 @@
+/**
+ * Brand Protection Rewrite Engine
+ *
+ * Compiles the rules from brand-rules.json and applies them to provider answers.
+ * Kept free of bot state so the rules can be tested on their own (npm test).
+ */
+
+// Compile a rule's pattern, returns null (and logs) if the rule is invalid
+function compileBrandRule(rule, index) {
+  try {
+    const source = rule.wordBoundary === false ? rule.pattern : `\\b(?:${rule.pattern})\\b`;
+    return {
+      ...rule,
+      id: rule.id || `rule-${index + 1}`,
+      scope: rule.scope && rule.scope.length > 0 ? rule.scope : ['*'],
+      examples: rule.examples || [],
+      regex: new RegExp(source, rule.flags || 'gi')
+    };
+  } catch (error) {
+    console.error(`❌ Invalid brand rule "${rule.id || index + 1}":`, error.message);
+    return null;
+  }
+}
+
+// Compile every rule of a brand-rules.json config, skipping invalid ones
+function compileBrandRules(config) {
+  return (config.rules || []).map(compileBrandRule).filter(Boolean);
+}
+
+// Check whether a rule applies to a provider (null provider = only rules for all providers)
+function brandRuleAppliesTo(rule, provider) {
+  if (rule.scope.includes('*')) return true;
+  return Boolean(provider) && (rule.scope.includes(provider.id) || rule.scope.includes(provider.type));
+}
+
+// Apply compiled rules to text outside code, returns { text, applied: [rule ids] }
+function rewriteBrandText(text, rules, provider = null) {
+  const applied = new Set();
+  // Odd indexes are code blocks / inline code and are left untouched
+  const segments = text.split(/(```[\s\S]*?(?:```|$)|`[^`\n]+`)/);
+  const rewritten = segments.map((segment, index) => {
+    if (index % 2 === 1) return segment;
+    return rules.reduce((current, rule) => {
+      if (!brandRuleAppliesTo(rule, provider)) return current;
+      rule.regex.lastIndex = 0;
+      if (!rule.regex.test(current)) return current;
+      applied.add(rule.id);
+      rule.regex.lastIndex = 0;
+      return current.replace(rule.regex, rule.replacement);
+    }, segment);
+  });
+  return { text: rewritten.join(''), applied: [...applied] };
+}
+
+module.exports = { compileBrandRule, compileBrandRules, brandRuleAppliesTo, rewriteBrandText };
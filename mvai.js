@@ -8,35 +8,69 @@
  * Simplified admin system with persistent user management:
  * 
  * 1. Primary Admin:
- *    - RayBen445 (ID: 6649936329) is the primary admin
- *    - Only RayBen445 can promote/demote other admins
+ *    - RayBen445 is the primary admin: the ID mapped to RayBen445 in GITHUB_ADMIN_MAPPING,
+ *      otherwise 6649936329
+ *    - Only RayBen445 can grant and revoke roles
  *    - RayBen445 cannot be demoted
+ *    - ADMIN_IDS, ADMIN_USERNAMES and GITHUB_ADMIN_MAPPING declare further admins,
+ *      who cannot be demoted either
+ *    - Roles (owner, admin, moderator, support, user) carry permissions; one middleware
+ *      checks every command and callback button against the permission matrix
  * 
  * 2. User Management:
- *    - All user interactions are saved to users.json
- *    - User data includes: ID, username, first name, last name, admin status
+ *    - All user interactions are saved through the storage backend: users.json and
+ *      analytics.json (atomic, debounced writes) or SQLite (STORAGE_BACKEND=sqlite)
+ *    - User data includes: ID, username, first name, last name, access role,
+ *      preferred role and language
  *    - Persistent storage survives bot restarts
  * 
  * 3. Admin Commands:
  *    - /users - View all registered users (RayBen445 only)
- *    - /promote <user_id> - Promote user to admin (RayBen445 only)  
- *    - /demote <user_id> - Demote admin user (RayBen445 only)
- *    - /admininfo - Check admin status and system info
+ *    - /grant <user> <admin|moderator|support> - Give a user a role (RayBen445 only)
+ *    - /revoke <user> - Take a user's role away (RayBen445 only)
+ *    - /promote and /demote - Aliases for /grant <user> admin and /revoke
+ *    - /admininfo - Check your role, permissions and system info
  *    - /admin - Access admin panel with stats and tools
  *    - /apistatus - Check AI API status and configuration
+ *    - /providers - List AI providers (RayBen445 can enable/disable/reorder/reload)
+ *    - /translations - Report interface translation coverage and reload locales/
+ *    - /ratelimit - View and change the per-user and global rate limits (rate-limits.json)
+ *    - /ban, /unban, /mute, /unmute - Stop abusive users, with an optional reason and duration
+ *    - /auditlog [user|action] [days] - Who did what; /auditlog export sends a file (RayBen445 only)
+ *    - /apikey - Issue and revoke chat API keys (RayBen445 only)
  * 
  * 4. Admin Features:
  *    - /admin command and admin panel access
- *    - /broadcast command for messaging all users
- *    - Support message routing and handling
+ *    - /broadcast previews a broadcast, optionally scheduled, filtered by audience or with a
+ *      photo/document, then runs it as a rate-limited background job; /broadcasts lists and cancels
+ *    - Support tickets: /tickets and /reply for staff, /mytickets for users
  *    - User statistics and management
+ *    - /analytics [7d|30d] - Daily and hourly usage trends, DAU/WAU/MAU and week-over-week growth
  *    - Comprehensive user database with persistent storage
  * 
  * 5. AI API System:
- *    - Primary APIs: GiftedTech AI endpoints (5 different models)
- *    - Fallback API: Google Gemini API (requires GOOGLE_API_KEY env var)
+ *    - Providers are declared in providers.json (name, type, priority, timeout, API key env var)
+ *    - Default chain: GiftedTech AI endpoints (5 models), then Google Gemini (GOOGLE_API_KEY)
+ *    - /providers lets admins list, enable, disable, reorder and reload providers
+ *    - Per-provider health tracking with a circuit breaker; /apistatus runs live probes
+ *    - Routing modes: sequential, race or hedged (AI_ROUTING_MODE, AI_RACE_COUNT, AI_HEDGE_DELAY_MS)
+ *    - Streaming providers (Gemini, OpenAI-style) update the reply progressively via message edits
  *    - All responses maintain Cool Shot AI branding and identity
- *    - Comprehensive text replacement to maintain brand consistency
+ *    - Brand rewrite rules live in brand-rules.json; /brandrules lists, tests and checks them
+ *    - Role system prompts live in roles.json and are sent to every provider
+ *    - Users can create, edit and share custom personas with /persona (personas.json)
+ *    - Bot messages follow the user's /lang choice via catalogs in locales/ (English fallback);
+ *      /translations reports untranslated keys per language
+ *    - Without a /lang choice, each message's language is detected locally (language-profiles.json)
+ *      and used for the reply; AUTO_LANGUAGE_DETECTION=false turns this off
+ * 
+ * 6. Admin REST API:
+ *    - /api/users, /api/users/:id, /api/admins, /api/analytics and /api/commands as JSON,
+ *      plus promote, demote and note endpoints; tokens in ADMIN_API_TOKENS act as a Telegram user
+ * 
+ * 7. Chat API:
+ *    - POST /v1/chat/completions (OpenAI-compatible, streaming via server-sent events) and
+ *      POST /api/chat run the provider chain with a role and language; keys come from /apikey
  */
 
 const { Telegraf } = require('telegraf');
@@ -45,7 +79,9 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const brandProtection = require('./brand-protection');
 
 const bot = new Telegraf(process.env.TELEGRAM_TOKEN);
 const app = express();
@@ -62,29 +98,380 @@ function escapeMarkdownV2(text) {
   return text.replace(/([_*[\]()~`>#+=|{}.!-])/g, '\\$1');
 }
 
+// ========== Storage ==========
+/**
+ * Storage backends for users, analytics, support tickets, broadcast jobs, personas, chat API keys,
+ * the audit log and admin data
+ *
+ * STORAGE_BACKEND selects the adapter (default json):
+ *   - json:   users.json, analytics.json, tickets.json, broadcasts.json, personas.json and api-keys.json,
+ *             written atomically (temp file + rename) and debounced so a burst of updates becomes a
+ *             single write; audit-log.jsonl, appended one line per entry
+ *   - sqlite: one row per user, ticket, broadcast job, persona, API key, audit entry, command and user
+ *             activity counter in SQLITE_FILE (requires the optional better-sqlite3 package)
+ *
+ * Adapters implement loadUsers(), loadAnalytics(), loadTickets(), loadBroadcasts(), loadPersonas(),
+ * loadApiKeys(), loadAuditLog() (null when nothing is stored), saveUsers(users, userId),
+ * saveAnalytics(analytics, changes), saveTickets(tickets, ticketId), saveBroadcasts(jobs, jobId),
+ * savePersonas(personas, personaId), saveApiKeys(keys, keyId), appendAuditLog(entry) and flush().
+ * userId, ticketId, jobId, personaId, keyId and changes ({ userId, command, day, hour }) name what
+ * changed so adapters that store rows can skip the rest; omitting them saves everything. A personaId
+ * or keyId that is no longer in personas or keys was deleted. Audit entries are only ever appended.
+ * The first time SQLite starts with an empty database, the existing JSON files are imported.
+ */
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const SQLITE_FILE = process.env.SQLITE_FILE || './mvai.db';
+const USERS_FILE = './users.json';
+const ANALYTICS_FILE = './analytics.json';
+const TICKETS_FILE = './tickets.json';
+const BROADCASTS_FILE = './broadcasts.json';
+const PERSONAS_FILE = './personas.json';
+const API_KEYS_FILE = './api-keys.json';
+const AUDIT_LOG_FILE = './audit-log.jsonl';
+const STORAGE_FLUSH_DELAY_MS = 1000; // JSON writes are batched within this window
+const ANALYTICS_BUCKET_FIELDS = ['dailyStats', 'hourlyStats', 'monthlyStats']; // Time series, one SQLite row per bucket
+
+// Write a JSON file so a crash mid-write leaves the previous version intact
+async function writeJsonAtomic(file, data) {
+  const tempFile = `${file}.tmp`;
+  await fs.writeJson(tempFile, data, { spaces: 2 });
+  await fs.rename(tempFile, file);
+}
+
+// Read a JSON file, or null when it does not exist
+async function readJsonIfExists(file) {
+  return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+// Read a JSON Lines file, or null when it does not exist; lines cut short by a crash are skipped
+async function readJsonLinesIfExists(file) {
+  if (!(await fs.pathExists(file))) return null;
+  const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+  return lines.flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+// JSON file adapter: whole files, written one at a time after a short delay
+function createJsonStorage() {
+  const pending = new Map(); // file -> data waiting for the next flush
+  let timer = null;
+  let writing = Promise.resolve();
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const batch = [...pending];
+    pending.clear();
+    writing = writing.then(async () => {
+      for (const [file, data] of batch) {
+        try {
+          await writeJsonAtomic(file, data);
+        } catch (error) {
+          console.error(`❌ Error writing ${file}:`, error.message);
+        }
+      }
+    });
+    return writing;
+  };
+
+  const schedule = (file, data) => {
+    pending.set(file, data);
+    if (!timer) timer = setTimeout(flush, STORAGE_FLUSH_DELAY_MS);
+  };
+
+  return {
+    name: 'json',
+    loadUsers: () => readJsonIfExists(USERS_FILE),
+    loadAnalytics: () => readJsonIfExists(ANALYTICS_FILE),
+    loadTickets: () => readJsonIfExists(TICKETS_FILE),
+    loadBroadcasts: () => readJsonIfExists(BROADCASTS_FILE),
+    loadPersonas: () => readJsonIfExists(PERSONAS_FILE),
+    loadApiKeys: () => readJsonIfExists(API_KEYS_FILE),
+    loadAuditLog: () => readJsonLinesIfExists(AUDIT_LOG_FILE),
+    async saveUsers(allUsers) {
+      schedule(USERS_FILE, allUsers);
+    },
+    async saveAnalytics(data) {
+      schedule(ANALYTICS_FILE, data);
+    },
+    async saveTickets(allTickets) {
+      schedule(TICKETS_FILE, allTickets);
+    },
+    async saveBroadcasts(jobs) {
+      schedule(BROADCASTS_FILE, jobs);
+    },
+    async savePersonas(allPersonas) {
+      schedule(PERSONAS_FILE, allPersonas);
+    },
+    async saveApiKeys(keys) {
+      schedule(API_KEYS_FILE, keys);
+    },
+    // Appends are queued behind pending writes so flush() waits for them too
+    appendAuditLog(entry) {
+      writing = writing.then(() => fs.appendFile(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`))
+        .catch(error => console.error(`❌ Error writing ${AUDIT_LOG_FILE}:`, error.message));
+      return writing;
+    },
+    flush
+  };
+}
+
+// SQLite adapter: each change is an upsert of the affected rows
+function createSqliteStorage() {
+  const Database = require('better-sqlite3');
+  const db = new Database(SQLITE_FILE);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS tickets (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS broadcasts (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS personas (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS api_keys (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS audit_log (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS analytics (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS command_stats (command TEXT PRIMARY KEY, count INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS user_activity (user_id TEXT PRIMARY KEY, commands INTEGER NOT NULL, messages INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS analytics_buckets (series TEXT NOT NULL, bucket TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (series, bucket));
+  `);
+
+  const upsertUser = db.prepare('INSERT INTO users (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data');
+  const upsertTicket = db.prepare('INSERT INTO tickets (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data');
+  const upsertBroadcast = db.prepare('INSERT INTO broadcasts (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data');
+  const upsertPersona = db.prepare('INSERT INTO personas (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data');
+  const deletePersona = db.prepare('DELETE FROM personas WHERE id = ?');
+  const upsertApiKey = db.prepare('INSERT INTO api_keys (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data');
+  const deleteApiKey = db.prepare('DELETE FROM api_keys WHERE id = ?');
+  const insertAuditEntry = db.prepare('INSERT INTO audit_log (data) VALUES (?)');
+  const upsertValue = db.prepare('INSERT INTO analytics (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+  const upsertCommand = db.prepare('INSERT INTO command_stats (command, count) VALUES (?, ?) ON CONFLICT(command) DO UPDATE SET count = excluded.count');
+  const upsertActivity = db.prepare(`INSERT INTO user_activity (user_id, commands, messages) VALUES (?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET commands = excluded.commands, messages = excluded.messages`);
+  const upsertBucket = db.prepare(`INSERT INTO analytics_buckets (series, bucket, data) VALUES (?, ?, ?)
+    ON CONFLICT(series, bucket) DO UPDATE SET data = excluded.data`);
+
+  const saveUsers = db.transaction((allUsers, userId) => {
+    const ids = userId !== undefined ? [userId] : Object.keys(allUsers);
+    for (const id of ids) {
+      if (allUsers[id]) upsertUser.run(id, JSON.stringify(allUsers[id]));
+    }
+  });
+
+  const saveTickets = db.transaction((allTickets, ticketId) => {
+    const ids = ticketId !== undefined ? [ticketId] : Object.keys(allTickets);
+    for (const id of ids) {
+      if (allTickets[id]) upsertTicket.run(id, JSON.stringify(allTickets[id]));
+    }
+  });
+
+  const saveBroadcasts = db.transaction((jobs, jobId) => {
+    const ids = jobId !== undefined ? [jobId] : Object.keys(jobs);
+    for (const id of ids) {
+      if (jobs[id]) upsertBroadcast.run(id, JSON.stringify(jobs[id]));
+    }
+  });
+
+  // Personas can be deleted, so a full save replaces every row
+  const savePersonas = db.transaction((allPersonas, personaId) => {
+    if (personaId === undefined) db.prepare('DELETE FROM personas').run();
+    const ids = personaId !== undefined ? [personaId] : Object.keys(allPersonas);
+    for (const id of ids) {
+      if (allPersonas[id]) upsertPersona.run(id, JSON.stringify(allPersonas[id]));
+      else deletePersona.run(id);
+    }
+  });
+
+  // Keys can be revoked, so a full save replaces every row
+  const saveApiKeys = db.transaction((keys, keyId) => {
+    if (keyId === undefined) db.prepare('DELETE FROM api_keys').run();
+    const ids = keyId !== undefined ? [keyId] : Object.keys(keys);
+    for (const id of ids) {
+      if (keys[id]) upsertApiKey.run(id, JSON.stringify(keys[id]));
+      else deleteApiKey.run(id);
+    }
+  });
+
+  // commandStats, userActivity and the time series get their own tables, every other field is a JSON value
+  const saveAnalytics = db.transaction((data, changes) => {
+    for (const [key, value] of Object.entries(data)) {
+      if (key !== 'commandStats' && key !== 'userActivity' && !ANALYTICS_BUCKET_FIELDS.includes(key)) {
+        upsertValue.run(key, JSON.stringify(value));
+      }
+    }
+    if (changes) {
+      const changedBuckets = [['dailyStats', changes.day], ['hourlyStats', changes.hour]];
+      for (const [series, bucket] of changedBuckets) {
+        if (bucket && data[series][bucket]) upsertBucket.run(series, bucket, JSON.stringify(data[series][bucket]));
+      }
+    } else {
+      // Full saves also remove buckets dropped by the rollup
+      db.prepare('DELETE FROM analytics_buckets').run();
+      for (const series of ANALYTICS_BUCKET_FIELDS) {
+        for (const [bucket, value] of Object.entries(data[series] || {})) {
+          upsertBucket.run(series, bucket, JSON.stringify(value));
+        }
+      }
+    }
+    const commands = changes ? [changes.command].filter(Boolean) : Object.keys(data.commandStats);
+    commands.forEach(command => upsertCommand.run(command, data.commandStats[command]));
+    const activityIds = changes ? [changes.userId].filter(Boolean) : Object.keys(data.userActivity);
+    for (const id of activityIds) {
+      const activity = data.userActivity[id];
+      if (activity) upsertActivity.run(id, activity.commands, activity.messages);
+    }
+  });
+
+  return {
+    name: 'sqlite',
+    async loadUsers() {
+      const rows = db.prepare('SELECT id, data FROM users').all();
+      return rows.length > 0 ? Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)])) : null;
+    },
+    async loadAnalytics() {
+      const values = db.prepare('SELECT key, value FROM analytics').all();
+      if (values.length === 0) return null;
+      const data = Object.fromEntries(values.map(row => [row.key, JSON.parse(row.value)]));
+      data.commandStats = Object.fromEntries(
+        db.prepare('SELECT command, count FROM command_stats').all().map(row => [row.command, row.count])
+      );
+      data.userActivity = Object.fromEntries(
+        db.prepare('SELECT user_id, commands, messages FROM user_activity').all()
+          .map(row => [row.user_id, { commands: row.commands, messages: row.messages }])
+      );
+      ANALYTICS_BUCKET_FIELDS.forEach(series => { data[series] = {}; });
+      for (const row of db.prepare('SELECT series, bucket, data FROM analytics_buckets').all()) {
+        if (data[row.series]) data[row.series][row.bucket] = JSON.parse(row.data);
+      }
+      return data;
+    },
+    async loadTickets() {
+      const rows = db.prepare('SELECT id, data FROM tickets').all();
+      return rows.length > 0 ? Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)])) : null;
+    },
+    async loadBroadcasts() {
+      const rows = db.prepare('SELECT id, data FROM broadcasts').all();
+      return rows.length > 0 ? Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)])) : null;
+    },
+    async loadPersonas() {
+      const rows = db.prepare('SELECT id, data FROM personas').all();
+      return rows.length > 0 ? Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)])) : null;
+    },
+    async loadApiKeys() {
+      const rows = db.prepare('SELECT id, data FROM api_keys').all();
+      return rows.length > 0 ? Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)])) : null;
+    },
+    async loadAuditLog() {
+      const rows = db.prepare('SELECT data FROM audit_log ORDER BY id').all();
+      return rows.length > 0 ? rows.map(row => JSON.parse(row.data)) : null;
+    },
+    async saveUsers(allUsers, userId) {
+      saveUsers(allUsers, userId);
+    },
+    async saveAnalytics(data, changes) {
+      saveAnalytics(data, changes);
+    },
+    async saveTickets(allTickets, ticketId) {
+      saveTickets(allTickets, ticketId);
+    },
+    async saveBroadcasts(jobs, jobId) {
+      saveBroadcasts(jobs, jobId);
+    },
+    async savePersonas(allPersonas, personaId) {
+      savePersonas(allPersonas, personaId);
+    },
+    async saveApiKeys(keys, keyId) {
+      saveApiKeys(keys, keyId);
+    },
+    async appendAuditLog(entry) {
+      insertAuditEntry.run(JSON.stringify(entry));
+    },
+    async flush() {
+      db.pragma('wal_checkpoint(PASSIVE)');
+    }
+  };
+}
+
+const STORAGE_ADAPTERS = {
+  json: createJsonStorage,
+  sqlite: createSqliteStorage
+};
+
+let storage = null;
+
+// Copy users.json, analytics.json, tickets.json, broadcasts.json, personas.json, api-keys.json and audit-log.jsonl into an empty database, returns number of users imported
+async function importJsonStorage(target) {
+  const source = createJsonStorage();
+  const storedUsers = await source.loadUsers();
+  const storedAnalytics = await source.loadAnalytics();
+  const storedTickets = await source.loadTickets();
+  const storedBroadcasts = await source.loadBroadcasts();
+  const storedPersonas = await source.loadPersonas();
+  const storedApiKeys = await source.loadApiKeys();
+  const storedAuditLog = await source.loadAuditLog();
+  if (storedUsers) await target.saveUsers(storedUsers);
+  if (storedTickets) await target.saveTickets(storedTickets);
+  if (storedBroadcasts) await target.saveBroadcasts(storedBroadcasts);
+  if (storedPersonas) await target.savePersonas(storedPersonas);
+  if (storedApiKeys) await target.saveApiKeys(storedApiKeys);
+  for (const entry of storedAuditLog || []) await target.appendAuditLog(entry);
+  if (storedAnalytics) {
+    await target.saveAnalytics({ commandStats: {}, userActivity: {}, ...storedAnalytics });
+  }
+  return storedUsers ? Object.keys(storedUsers).length : 0;
+}
+
+// Open the configured storage backend, falling back to JSON files if it cannot be opened
+async function initializeStorage() {
+  const createAdapter = STORAGE_ADAPTERS[STORAGE_BACKEND];
+  try {
+    if (!createAdapter) throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (use json or sqlite)`);
+    storage = createAdapter();
+  } catch (error) {
+    console.error('❌ Error opening storage, using JSON files instead:', error.message);
+    storage = createJsonStorage();
+  }
+
+  // One-shot import of the JSON files into a new database
+  if (storage.name !== 'json' && !(await storage.loadUsers()) && !(await storage.loadAnalytics())) {
+    try {
+      const imported = await importJsonStorage(storage);
+      if (imported > 0) console.log(`📦 Imported ${imported} users from JSON files into ${storage.name} storage`);
+    } catch (error) {
+      console.error('❌ Error importing JSON data:', error.message);
+    }
+  }
+  console.log(`💾 Using ${storage.name} storage`);
+}
+
 // ========== User Data Management ==========
+// In-memory indexes of the preferences stored in users.json (rebuilt on startup)
 let userRoles = {};
 let userLanguages = {};
 let USER_IDS = new Set(); // Track user IDs for broadcast
 
-// Persistent user data storage
-const USERS_FILE = './users.json';
-const ANALYTICS_FILE = './analytics.json';
-let users = {}; // { userId: { id, username, firstName, lastName, isAdmin, firstSeen, lastSeen } }
+// Persistent user data, kept in memory and written through the storage backend
+let users = {}; // { userId: { id, username, firstName, lastName, accessRole, role, language, recentRoles, inactive, ban, mute, firstSeen, lastSeen } }
 let analytics = {
   botStartTime: new Date().toISOString(),
   commandStats: {},
   dailyStats: {},
+  hourlyStats: {},
+  monthlyStats: {},
   userActivity: {},
   totalMessages: 0,
   totalCommands: 0
 };
 
-// Load users from file
+// Load users from storage
 async function loadUsers() {
   try {
-    if (await fs.pathExists(USERS_FILE)) {
-      users = await fs.readJson(USERS_FILE);
+    const stored = await storage.loadUsers();
+    if (stored) {
+      users = stored;
       console.log(`📥 Loaded ${Object.keys(users).length} users from storage`);
     }
   } catch (error) {
@@ -92,20 +479,20 @@ async function loadUsers() {
   }
 }
 
-// Save users to file
-async function saveUsers() {
+// Save users to storage, only the given user's record when a user ID is passed
+async function saveUsers(userId) {
   try {
-    await fs.writeJson(USERS_FILE, users, { spaces: 2 });
+    await storage.saveUsers(users, userId === undefined ? undefined : userId.toString());
   } catch (error) {
     console.error('❌ Error saving users:', error.message);
   }
 }
 
-// Load analytics from file
+// Load analytics from storage
 async function loadAnalytics() {
   try {
-    if (await fs.pathExists(ANALYTICS_FILE)) {
-      const stored = await fs.readJson(ANALYTICS_FILE);
+    const stored = await storage.loadAnalytics();
+    if (stored) {
       analytics = { ...analytics, ...stored };
       console.log('📊 Analytics data loaded');
     }
@@ -114,10 +501,10 @@ async function loadAnalytics() {
   }
 }
 
-// Save analytics to file
-async function saveAnalytics() {
+// Save analytics to storage, changes ({ userId, command, day, hour }) names what was updated
+async function saveAnalytics(changes) {
   try {
-    await fs.writeJson(ANALYTICS_FILE, analytics, { spaces: 2 });
+    await storage.saveAnalytics(analytics, changes);
   } catch (error) {
     console.error('❌ Error saving analytics:', error.message);
   }
@@ -137,8 +524,9 @@ async function trackCommand(command, userId) {
     analytics.userActivity[userIdStr] = { commands: 0, messages: 0 };
   }
   analytics.userActivity[userIdStr].commands++;
+  const buckets = await recordTimeSeries('commands', userIdStr);
   
-  await saveAnalytics();
+  await saveAnalytics({ userId: userIdStr, command, ...buckets });
 }
 
 // Track message
@@ -149,8 +537,9 @@ async function trackMessage(userId) {
     analytics.userActivity[userIdStr] = { commands: 0, messages: 0 };
   }
   analytics.userActivity[userIdStr].messages++;
+  const buckets = await recordTimeSeries('messages', userIdStr);
   
-  await saveAnalytics();
+  await saveAnalytics({ userId: userIdStr, ...buckets });
 }
 
 // Update user information
@@ -165,229 +554,3841 @@ async function updateUserInfo(ctx) {
       username: ctx.from.username || null,
       firstName: ctx.from.first_name || null,
       lastName: ctx.from.last_name || null,
-      isAdmin: false,
+      accessRole: null, // Role granted with /grant (null = user)
       firstSeen: now,
       lastSeen: now,
       messageCount: 0,
       commandCount: 0,
+      role: null, // Preferred expert role (null = Brain Master)
+      language: null, // Preferred language code (null = English)
+      inactive: false, // Set when a broadcast finds the bot blocked
+      ban: null, // Set by /ban, see Moderation
+      mute: null, // Set by /mute
       notes: '' // Admin notes about user
     };
     console.log(`👤 New user registered: ${ctx.from.first_name || 'Unknown'} (@${ctx.from.username || 'no_username'}) - ID: ${ctx.from.id}`);
+    await saveAnalytics(await recordTimeSeries('newUsers', userId));
   } else {
     // Update existing user info
     users[userId].username = ctx.from.username || users[userId].username;
     users[userId].firstName = ctx.from.first_name || users[userId].firstName;
     users[userId].lastName = ctx.from.last_name || users[userId].lastName;
     users[userId].lastSeen = now;
+    // Writing to the bot again means the user unblocked it
+    users[userId].inactive = false;
+  }
+  
+  // ADMIN_USERNAMES only become IDs once the user is seen
+  if (resolveAdminUsername(users[userId])) {
+    console.log(`🛡️ @${ctx.from.username} recognized as admin (ADMIN_USERNAMES) - ID: ${ctx.from.id}`);
   }
   
   USER_IDS.add(ctx.from.id);
-  await saveUsers();
+  await saveUsers(userId);
+}
+
+// ========== Analytics Time Series ==========
+/**
+ * Per-day and per-hour activity counters, bucketed by UTC date
+ *
+ * - analytics.dailyStats['2025-01-31']: messages, commands, newUsers, aiCalls,
+ *   aiFailures and activeUsers (IDs seen that day, used for DAU/WAU/MAU)
+ * - analytics.hourlyStats['2025-01-31T18']: the same counters without user IDs
+ * - Hourly buckets are kept for HOURLY_RETENTION_DAYS and daily buckets for
+ *   DAILY_RETENTION_DAYS; older days are rolled up into analytics.monthlyStats['2025-01']
+ *   (summed counters and the month's peak daily active users)
+ * - /analytics 7d and /analytics 30d show trends, DAU/WAU/MAU and week-over-week growth
+ */
+const ANALYTICS_COUNTERS = ['messages', 'commands', 'newUsers', 'aiCalls', 'aiFailures'];
+const ANALYTICS_PERIODS = { '7d': 7, '30d': 30 };
+const HOURLY_RETENTION_DAYS = 30;
+const DAILY_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastRollupDay = null; // Day the rollup last ran, it runs again when the date changes
+
+// UTC bucket keys
+function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getHourKey(date = new Date()) {
+  return date.toISOString().slice(0, 13);
+}
+
+// A bucket with every counter at zero
+function createStatsBucket() {
+  return Object.fromEntries(ANALYTICS_COUNTERS.map(counter => [counter, 0]));
+}
+
+// Drop expired hourly buckets and fold expired days into monthly totals, returns whether anything changed
+function rollupAnalytics(now = new Date()) {
+  lastRollupDay = getDayKey(now);
+  let changed = false;
+  
+  const hourCutoff = getHourKey(new Date(now - HOURLY_RETENTION_DAYS * DAY_MS));
+  for (const hour of Object.keys(analytics.hourlyStats)) {
+    if (hour < hourCutoff) {
+      delete analytics.hourlyStats[hour];
+      changed = true;
+    }
+  }
+  
+  const dayCutoff = getDayKey(new Date(now - DAILY_RETENTION_DAYS * DAY_MS));
+  for (const [day, stats] of Object.entries(analytics.dailyStats)) {
+    if (day >= dayCutoff) continue;
+    const month = day.slice(0, 7);
+    if (!analytics.monthlyStats[month]) {
+      analytics.monthlyStats[month] = { ...createStatsBucket(), peakDailyActiveUsers: 0 };
+    }
+    const monthly = analytics.monthlyStats[month];
+    ANALYTICS_COUNTERS.forEach(counter => { monthly[counter] += stats[counter] || 0; });
+    monthly.peakDailyActiveUsers = Math.max(monthly.peakDailyActiveUsers, (stats.activeUsers || []).length);
+    delete analytics.dailyStats[day];
+    changed = true;
+  }
+  return changed;
+}
+
+// Count events in today's and this hour's buckets, returns the keys of the buckets it changed
+async function recordTimeSeries(counters, userIdStr) {
+  const now = new Date();
+  const day = getDayKey(now);
+  const hour = getHourKey(now);
+  if (day !== lastRollupDay && rollupAnalytics(now)) {
+    await saveAnalytics();
+  }
+  
+  if (!analytics.dailyStats[day]) {
+    analytics.dailyStats[day] = { ...createStatsBucket(), activeUsers: [] };
+  }
+  if (!analytics.hourlyStats[hour]) {
+    analytics.hourlyStats[hour] = createStatsBucket();
+  }
+  for (const counter of [].concat(counters)) {
+    analytics.dailyStats[day][counter]++;
+    analytics.hourlyStats[hour][counter]++;
+  }
+  if (userIdStr && !analytics.dailyStats[day].activeUsers.includes(userIdStr)) {
+    analytics.dailyStats[day].activeUsers.push(userIdStr);
+  }
+  return { day, hour };
+}
+
+// Track an AI answer request, failed when no provider answered
+async function trackAICall(failed) {
+  await saveAnalytics(await recordTimeSeries(failed ? ['aiCalls', 'aiFailures'] : 'aiCalls'));
+}
+
+// Daily buckets for `days` days ending `offsetDays` days ago, oldest first
+function getDailyStatsRange(days, offsetDays = 0) {
+  const range = [];
+  for (let i = days - 1 + offsetDays; i >= offsetDays; i--) {
+    const day = getDayKey(new Date(Date.now() - i * DAY_MS));
+    range.push({ day, stats: analytics.dailyStats[day] || { ...createStatsBucket(), activeUsers: [] } });
+  }
+  return range;
+}
+
+// Counter totals and distinct active users over a range of days
+function summarizeDailyStats(range) {
+  const totals = createStatsBucket();
+  const activeUsers = new Set();
+  for (const { stats } of range) {
+    ANALYTICS_COUNTERS.forEach(counter => { totals[counter] += stats[counter] || 0; });
+    (stats.activeUsers || []).forEach(userIdStr => activeUsers.add(userIdStr));
+  }
+  return { ...totals, activeUsers: activeUsers.size };
+}
+
+// Change between two periods as a percentage, e.g. "+12%"
+function formatGrowth(userId, current, previous) {
+  if (previous === 0) return current > 0 ? t(userId, 'analytics.growth_new') : '±0%';
+  const change = Math.round((current - previous) / previous * 100);
+  return change === 0 ? '±0%' : `${change > 0 ? '+' : ''}${change}%`;
+}
+
+// One bar per value, scaled to the largest value
+function buildSparkline(values) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const max = Math.max(...values);
+  return values.map(value => bars[max > 0 ? Math.round(value / max * (bars.length - 1)) : 0]).join('');
+}
+
+// Trend report for the last `days` days in the viewer's language (MarkdownV2)
+function buildAnalyticsTrendMessage(userId, days) {
+  const range = getDailyStatsRange(days);
+  const totals = summarizeDailyStats(range);
+  const dau = summarizeDailyStats(getDailyStatsRange(1)).activeUsers;
+  const wau = summarizeDailyStats(getDailyStatsRange(7)).activeUsers;
+  const mau = summarizeDailyStats(getDailyStatsRange(30)).activeUsers;
+  const thisWeek = summarizeDailyStats(getDailyStatsRange(7));
+  const lastWeek = summarizeDailyStats(getDailyStatsRange(7, 7));
+  const failure = totals.aiCalls > 0
+    ? t(userId, 'analytics.failure_rate', { rate: (totals.aiFailures / totals.aiCalls * 100).toFixed(1) })
+    : '';
+  const line = (key, vars) => `${tmd(userId, key, vars)}\n`;
+  
+  let message = `${tmd(userId, 'analytics.trend_title', { days })}\n\n`;
+  message += line('analytics.active_users_heading');
+  message += line('analytics.active_users_line', { dau, wau, mau });
+  message += `\n${line('analytics.totals_heading')}`;
+  message += line('analytics.total_messages', { count: totals.messages });
+  message += line('analytics.total_commands', { count: totals.commands });
+  message += line('analytics.total_new_users', { count: totals.newUsers });
+  message += line('analytics.total_ai_calls', { count: totals.aiCalls, failure });
+  
+  message += `\n${line('analytics.wow_heading')}`;
+  for (const key of ['messages', 'activeUsers', 'newUsers', 'aiCalls']) {
+    message += line('analytics.wow_line', {
+      label: t(userId, `analytics.label_${key}`),
+      current: thisWeek[key],
+      previous: lastWeek[key],
+      growth: formatGrowth(userId, thisWeek[key], lastWeek[key])
+    });
+  }
+  
+  message += `\n${line('analytics.daily_heading', { sparkline: buildSparkline(range.map(({ stats }) => stats.messages)) })}`;
+  if (days <= 7) {
+    for (const { day, stats } of [...range].reverse()) {
+      message += line('analytics.day_line', {
+        day: day.slice(5),
+        messages: stats.messages,
+        commands: stats.commands,
+        users: (stats.activeUsers || []).length,
+        newUsers: stats.newUsers
+      });
+    }
+  } else {
+    // Longer periods are listed a week at a time, newest first
+    for (let end = range.length; end > 0; end -= 7) {
+      const week = range.slice(Math.max(0, end - 7), end);
+      const summary = summarizeDailyStats(week);
+      message += line('analytics.week_line', {
+        from: week[0].day.slice(5),
+        to: week[week.length - 1].day.slice(5),
+        messages: summary.messages,
+        users: summary.activeUsers,
+        newUsers: summary.newUsers
+      });
+    }
+  }
+  
+  // Busiest hour of the day over the period
+  const cutoff = getHourKey(new Date(Date.now() - days * DAY_MS));
+  const byHour = {};
+  for (const [hour, stats] of Object.entries(analytics.hourlyStats)) {
+    if (hour < cutoff) continue;
+    const hourOfDay = hour.slice(11, 13);
+    byHour[hourOfDay] = (byHour[hourOfDay] || 0) + stats.messages + stats.commands;
+  }
+  const [peakHour, peakCount] = Object.entries(byHour).sort(([, a], [, b]) => b - a)[0] || [];
+  if (peakCount) {
+    message += `\n${line('analytics.peak_hour', { hour: peakHour, count: peakCount })}`;
+  }
+  
+  message += `\n${tmd(userId, 'analytics.footer')}`;
+  return message;
+}
+
+// All-time analytics overview in the viewer's language (MarkdownV2)
+function buildAnalyticsOverviewMessage(userId) {
+  const uptime = Math.floor((Date.now() - new Date(analytics.botStartTime)) / DAY_MS);
+  const totalUsers = Object.keys(users).length;
+  const activeToday = Object.values(users).filter(u => {
+    const lastSeen = new Date(u.lastSeen);
+    const today = new Date();
+    return lastSeen.toDateString() === today.toDateString();
+  }).length;
+  
+  // Top commands
+  const topCommands = Object.entries(analytics.commandStats)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 5)
+    .map(([command, count], i) => tmd(userId, 'analytics.top_command_line', { index: i + 1, command, count }))
+    .join('\n');
+  
+  // Most active users
+  const topUsers = Object.entries(analytics.userActivity)
+    .sort(([,a], [,b]) => (b.messages + b.commands) - (a.messages + a.commands))
+    .slice(0, 5)
+    .map(([activeUserId, activity], i) => {
+      const user = users[activeUserId];
+      const name = (user && user.firstName) || t(userId, 'common.unknown_user');
+      const total = activity.messages + activity.commands;
+      return tmd(userId, 'analytics.top_user_line', { index: i + 1, name, total });
+    })
+    .join('\n');
+  
+  const noData = tmd(userId, 'analytics.no_data');
+  return `${tmd(userId, 'analytics.overview_title')}\n\n` +
+    `${tmd(userId, 'analytics.overview_stats', {
+      uptime,
+      users: totalUsers,
+      active: activeToday,
+      messages: analytics.totalMessages,
+      commands: analytics.totalCommands
+    })}\n\n` +
+    `${tmd(userId, 'analytics.top_commands_heading')}\n${topCommands || noData}\n\n` +
+    `${tmd(userId, 'analytics.top_users_heading')}\n${topUsers || noData}\n\n` +
+    `${tmd(userId, 'analytics.trends_hint')}\n` +
+    tmd(userId, 'analytics.footer');
+}
+
+// Buttons to switch between the analytics views
+function buildAnalyticsKeyboard(userId) {
+  return [
+    [{ text: t(userId, 'analytics.button_7d'), callback_data: 'analytics_7d' }, { text: t(userId, 'analytics.button_30d'), callback_data: 'analytics_30d' }],
+    [{ text: t(userId, 'analytics.button_overview'), callback_data: 'admin_analytics' }]
+  ];
+}
+
+// ========== User Preferences ==========
+
+// Fields added to user records after the first release, with their defaults
+const USER_RECORD_DEFAULTS = {
+  messageCount: 0,
+  commandCount: 0,
+  role: null,
+  language: null,
+  recentRoles: [],
+  suggestedLanguages: [],
+  accessRole: null,
+  inactive: false,
+  ban: null,
+  mute: null,
+  notes: ''
+};
+
+// Add any missing fields to existing user records, returns number of records updated
+function migrateUserRecords() {
+  let migrated = 0;
+  for (const user of Object.values(users)) {
+    let changed = false;
+    // Admins promoted before access roles existed keep admin rights
+    if (user.isAdmin !== undefined) {
+      if (user.isAdmin && !user.accessRole) user.accessRole = 'admin';
+      delete user.isAdmin;
+      changed = true;
+    }
+    for (const [field, defaultValue] of Object.entries(USER_RECORD_DEFAULTS)) {
+      if (user[field] === undefined) {
+        user[field] = defaultValue;
+        changed = true;
+      }
+    }
+    if (changed) migrated++;
+  }
+  return migrated;
+}
+
+// Rebuild the in-memory role, language and broadcast indexes from users.json
+function loadUserPreferences() {
+  userRoles = {};
+  userLanguages = {};
+  USER_IDS = new Set();
+  for (const [userIdStr, user] of Object.entries(users)) {
+    if (user.role) userRoles[userIdStr] = user.role;
+    if (user.language) userLanguages[userIdStr] = user.language;
+    USER_IDS.add(user.id);
+  }
+}
+
+// Save a user's preferred expert role
+async function setUserRole(userId, role) {
+  userRoles[userId] = role;
+  const userIdStr = userId.toString();
+  if (users[userIdStr]) {
+    users[userIdStr].role = role;
+    rememberRecentRole(userId, role);
+    await saveUsers(userIdStr);
+  }
+}
+
+// Save a user's preferred language
+async function setUserLanguage(userId, lang) {
+  userLanguages[userId] = lang;
+  const userIdStr = userId.toString();
+  if (users[userIdStr]) {
+    users[userIdStr].language = lang;
+    await saveUsers(userIdStr);
+  }
+}
+
+// Forget a user's language choice so replies follow the detected language again
+async function clearUserLanguage(userId) {
+  delete userLanguages[userId];
+  const userIdStr = userId.toString();
+  if (users[userIdStr]) {
+    users[userIdStr].language = null;
+    await saveUsers(userIdStr);
+  }
+}
+
+// Reset a user's role and language back to defaults
+async function resetUserPreferences(userId) {
+  delete userRoles[userId];
+  delete userLanguages[userId];
+  const userIdStr = userId.toString();
+  if (users[userIdStr]) {
+    users[userIdStr].role = null;
+    users[userIdStr].language = null;
+    await saveUsers(userIdStr);
+  }
 }
 
 // ========== Admin Setup ==========
 /**
- * Simplified Admin System
+ * Access Roles
  * 
- * - RayBen445 (ID: 6649936329) is the primary admin
- * - Only RayBen445 can promote other users to admin
- * - Admin status is stored persistently in users.json
- * - Use /promote and /demote commands to manage admins
+ * Every user has one access role, from most to least privileged:
+ * - owner: the primary admin, RayBen445 (the ID mapped to RayBen445 in GITHUB_ADMIN_MAPPING,
+ *   otherwise 6649936329)
+ * - admin: users listed in ADMIN_IDS, ADMIN_USERNAMES (usernames without @, resolved to IDs
+ *   when the user is seen by updateUserInfo) or GITHUB_ADMIN_MAPPING, or granted with /grant
+ * - moderator, support: granted with /grant
+ * - user: everyone else
+ * 
+ * Roles from /grant are stored as accessRole on the user record. Admins declared in the
+ * environment cannot be revoked, they are removed from the variables instead. The permissions
+ * of each role are listed in ACCESS_ROLES and enforced by the permission middleware.
  */
 
-const RAYBEN_ID = 6649936329; // RayBen445's Telegram ID
+const RAYBEN_ID = 6649936329; // RayBen445's Telegram ID, used when GITHUB_ADMIN_MAPPING doesn't map RayBen445
+const REPOSITORY_OWNER = 'RayBen445';
 
-// Check if a user ID is admin
-function isAdmin(userId) {
+// Everything the permission middleware can check, described by the permissions.<name> catalog keys
+const PERMISSIONS = [
+  'panel.view', 'stats.view', 'analytics.view', 'broadcast.send', 'support.handle', 'providers.view', 'providers.manage',
+  'brandrules.view', 'brandrules.manage', 'translations.view', 'ratelimits.manage', 'ratelimits.exempt', 'users.view',
+  'users.notes', 'users.moderate', 'audit.view', 'audit.export', 'apikeys.manage', 'roles.manage'
+];
+
+// Access roles from most to least privileged, '*' grants every permission; labels are the access.role_<role> catalog keys
+const ACCESS_ROLES = {
+  owner: { permissions: ['*'] },
+  admin: {
+    permissions: [
+      'panel.view', 'stats.view', 'analytics.view', 'broadcast.send', 'support.handle', 'providers.view', 'brandrules.view',
+      'translations.view', 'ratelimits.manage', 'ratelimits.exempt', 'users.moderate',
+      'audit.view'
+    ]
+  },
+  moderator: { permissions: ['panel.view', 'stats.view', 'support.handle', 'users.moderate'] },
+  support: { permissions: ['panel.view', 'support.handle'] },
+  user: { permissions: [] }
+};
+const GRANTABLE_ROLES = ['admin', 'moderator', 'support'];
+
+let primaryAdminId = RAYBEN_ID;
+let envAdminSources = {}; // { userIdStr: ['ADMIN_IDS', 'GITHUB_ADMIN_MAPPING (name)'] }
+let adminUsernames = new Set(); // Lowercase ADMIN_USERNAMES entries
+let adminUsernameIds = {}; // { lowercase username: userIdStr } once the user has been seen
+
+// Split a comma-separated environment variable
+function parseEnvList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Record that an environment variable makes a user admin
+function addEnvAdminSource(userIdStr, source) {
+  if (!envAdminSources[userIdStr]) envAdminSources[userIdStr] = [];
+  if (!envAdminSources[userIdStr].includes(source)) envAdminSources[userIdStr].push(source);
+}
+
+// Read ADMIN_IDS, ADMIN_USERNAMES and GITHUB_ADMIN_MAPPING
+function loadAdminConfig() {
+  envAdminSources = {};
+  adminUsernameIds = {};
+  primaryAdminId = RAYBEN_ID;
+  
+  for (const id of parseEnvList(process.env.ADMIN_IDS)) {
+    if (/^\d+$/.test(id)) addEnvAdminSource(id, 'ADMIN_IDS');
+    else console.error(`❌ Ignoring invalid ADMIN_IDS entry "${id}"`);
+  }
+  
+  adminUsernames = new Set(parseEnvList(process.env.ADMIN_USERNAMES).map(name => name.replace(/^@/, '').toLowerCase()));
+  
+  if (process.env.GITHUB_ADMIN_MAPPING) {
+    try {
+      const mapping = JSON.parse(process.env.GITHUB_ADMIN_MAPPING);
+      for (const [githubUser, telegramId] of Object.entries(mapping)) {
+        const id = String(telegramId).trim();
+        if (!/^\d+$/.test(id)) {
+          console.error(`❌ Ignoring GITHUB_ADMIN_MAPPING entry "${githubUser}": invalid Telegram ID`);
+          continue;
+        }
+        addEnvAdminSource(id, `GITHUB_ADMIN_MAPPING (${githubUser})`);
+        if (githubUser.toLowerCase() === REPOSITORY_OWNER.toLowerCase()) primaryAdminId = Number(id);
+      }
+    } catch (error) {
+      console.error('❌ Error parsing GITHUB_ADMIN_MAPPING:', error.message);
+    }
+  }
+  
+  // Users seen before already have a known username
+  Object.values(users).forEach(resolveAdminUsername);
+}
+
+// Resolve an ADMIN_USERNAMES entry to the user's ID, returns true when newly resolved
+function resolveAdminUsername(user) {
+  const username = (user.username || '').toLowerCase();
+  const userIdStr = user.id.toString();
+  if (!adminUsernames.has(username) || adminUsernameIds[username] === userIdStr) return false;
+  adminUsernameIds[username] = userIdStr;
+  return true;
+}
+
+// Environment variables that make a user admin, empty for everyone else
+function getEnvAdminSources(userId) {
   const userIdStr = userId.toString();
-  return users[userIdStr] && users[userIdStr].isAdmin;
+  const user = users[userIdStr];
+  const sources = [...(envAdminSources[userIdStr] || [])];
+  const username = user && user.username ? user.username.toLowerCase() : null;
+  if (username && adminUsernameIds[username] === userIdStr) {
+    sources.push(`ADMIN_USERNAMES (@${user.username})`);
+  }
+  return sources;
+}
+
+// The user's access role: owner, environment admin, or the role stored by /grant
+function getAccessRole(userId) {
+  if (isRayBen(userId)) return 'owner';
+  if (getEnvAdminSources(userId).length > 0) return 'admin';
+  const user = users[userId.toString()];
+  return user && GRANTABLE_ROLES.includes(user.accessRole) ? user.accessRole : 'user';
+}
+
+// Everything that gives a user their access role in viewerId's language, empty for regular users
+function getRoleSources(userId, viewerId) {
+  const sources = [];
+  if (isRayBen(userId)) sources.push(t(viewerId, 'access.source_primary'));
+  sources.push(...getEnvAdminSources(userId));
+  const user = users[userId.toString()];
+  if (sources.length === 0 && user && GRANTABLE_ROLES.includes(user.accessRole)) sources.push('/grant');
+  return sources;
 }
 
-// Check if user is RayBen445 (primary admin)
+// A role's label in the viewer's language, e.g. "🛡️ Admin"
+function getAccessRoleLabel(viewerId, role) {
+  return t(viewerId, `access.role_${role}`);
+}
+
+// Check if a user's role includes a permission
+function hasPermission(userId, permission) {
+  const { permissions } = ACCESS_ROLES[getAccessRole(userId)];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Check if a user ID is admin (admin or owner role)
+function isAdmin(userId) {
+  return ['owner', 'admin'].includes(getAccessRole(userId));
+}
+
+// Check if user is the primary admin (RayBen445)
 function isRayBen(userId) {
-  return userId === RAYBEN_ID;
+  return Number(userId) === primaryAdminId;
 }
 
 // Get all admin users
 function getAdminUsers() {
-  return Object.values(users).filter(user => user.isAdmin);
+  return Object.values(users).filter(user => isAdmin(user.id));
+}
+
+// Get every user with a role above user, most privileged first
+function getStaffUsers() {
+  const ranks = Object.keys(ACCESS_ROLES);
+  return Object.values(users)
+    .filter(user => getAccessRole(user.id) !== 'user')
+    .sort((a, b) => ranks.indexOf(getAccessRole(a.id)) - ranks.indexOf(getAccessRole(b.id)));
+}
+
+// Get the IDs of users holding a permission, e.g. support agents for support.handle
+function getUserIdsWithPermission(permission) {
+  return Object.values(users).filter(user => hasPermission(user.id, permission)).map(user => user.id);
 }
 
-// Get admin IDs for broadcasting
-function getAdminIds() {
-  return getAdminUsers().map(user => user.id);
+// Find a user by numeric ID or username (with or without @)
+function findUserByReference(reference) {
+  if (/^\d+$/.test(reference)) return users[reference] || null;
+  const username = reference.replace(/^@/, '').toLowerCase();
+  return Object.values(users).find(user => user.username && user.username.toLowerCase() === username) || null;
 }
 
-// Promote user to admin (only RayBen can do this)
-async function promoteToAdmin(userId, promotedBy) {
-  if (!isRayBen(promotedBy)) {
-    return { success: false, error: 'Only RayBen445 can promote users to admin' };
+// Give a user an access role (the caller's permission is checked by the middleware),
+// errors are in viewerId's language (English without one, as for the REST API)
+async function grantAccessRole(userId, role, viewerId) {
+  if (!GRANTABLE_ROLES.includes(role)) {
+    return { success: false, error: t(viewerId, 'access.error_unknown_role', { role, roles: GRANTABLE_ROLES.join(', ') }) };
   }
   
   const userIdStr = userId.toString();
   if (!users[userIdStr]) {
-    return { success: false, error: 'User not found in database' };
+    return { success: false, error: t(viewerId, 'access.error_user_not_found') };
+  }
+  
+  if (isRayBen(userId)) {
+    return { success: false, error: t(viewerId, 'access.error_grant_owner') };
+  }
+  
+  const envSources = getEnvAdminSources(userId);
+  if (envSources.length > 0) {
+    return { success: false, error: t(viewerId, 'access.error_grant_env', { sources: envSources.join(', ') }) };
   }
   
-  if (users[userIdStr].isAdmin) {
-    return { success: false, error: 'User is already an admin' };
+  if (getAccessRole(userId) === role) {
+    return { success: false, error: t(viewerId, 'access.error_already_has', { role: getAccessRoleLabel(viewerId, role) }) };
   }
   
-  users[userIdStr].isAdmin = true;
-  await saveUsers();
+  users[userIdStr].accessRole = role;
+  await saveUsers(userIdStr);
   return { success: true };
 }
 
-// Demote admin user (only RayBen can do this, cannot demote himself)
-async function demoteAdmin(userId, demotedBy) {
-  if (!isRayBen(demotedBy)) {
-    return { success: false, error: 'Only RayBen445 can demote admins' };
+// Take a user's granted role away, leaving them a regular user (errors in viewerId's language)
+async function revokeAccessRole(userId, viewerId) {
+  if (isRayBen(userId)) {
+    return { success: false, error: t(viewerId, 'access.error_revoke_owner') };
   }
   
-  if (isRayBen(userId)) {
-    return { success: false, error: 'RayBen445 cannot be demoted' };
+  const envSources = getEnvAdminSources(userId);
+  if (envSources.length > 0) {
+    return { success: false, error: t(viewerId, 'access.error_revoke_env', { sources: envSources.join(', ') }) };
   }
   
   const userIdStr = userId.toString();
-  if (!users[userIdStr] || !users[userIdStr].isAdmin) {
-    return { success: false, error: 'User is not an admin' };
+  if (!users[userIdStr] || getAccessRole(userId) === 'user') {
+    return { success: false, error: t(viewerId, 'access.error_no_role') };
   }
   
-  users[userIdStr].isAdmin = false;
-  await saveUsers();
+  users[userIdStr].accessRole = null;
+  await saveUsers(userIdStr);
   return { success: true };
 }
 
 // Initialize admin system
 async function initializeAdminSystem() {
+  await initializeStorage();
   await loadUsers();
   await loadAnalytics();
+  if (rollupAnalytics()) await saveAnalytics();
+  
+  // Bring older user records up to date before building the preference indexes
+  const migrated = migrateUserRecords();
+  if (migrated > 0) {
+    await saveUsers();
+    console.log(`🔧 Migrated ${migrated} user records to the current format`);
+  }
+  
+  loadAdminConfig();
   
-  // Ensure RayBen445 is always an admin
-  const raybenIdStr = RAYBEN_ID.toString();
+  // Ensure RayBen445 always has a user record
+  const raybenIdStr = primaryAdminId.toString();
   if (!users[raybenIdStr]) {
     users[raybenIdStr] = {
-      id: RAYBEN_ID,
+      id: primaryAdminId,
       username: 'rayben445',
       firstName: 'RayBen445',
       lastName: null,
-      isAdmin: true,
+      accessRole: null, // Owner through primaryAdminId
       firstSeen: new Date().toISOString(),
       lastSeen: new Date().toISOString(),
       messageCount: 0,
       commandCount: 0,
+      role: null,
+      language: null,
       notes: 'Primary Admin - Creator of Cool Shot AI'
     };
-    await saveUsers();
+    await saveUsers(raybenIdStr);
     console.log('🛡️ RayBen445 initialized as primary admin');
-  } else if (!users[raybenIdStr].isAdmin) {
-    users[raybenIdStr].isAdmin = true;
-    await saveUsers();
-    console.log('🛡️ RayBen445 admin status restored');
   }
   
-  console.log(`🛡️ Admin system initialized with ${getAdminUsers().length} admins`);
+  loadUserPreferences();
+  console.log(`🛡️ Admin system initialized with ${getAdminUsers().length} admins (primary admin ID: ${primaryAdminId})`);
+  console.log(`⚙️ Environment admins: ${Object.keys(envAdminSources).length} IDs, ${adminUsernames.size} usernames`);
+  console.log(`⚙️ Loaded preferences: ${Object.keys(userRoles).length} roles, ${Object.keys(userLanguages).length} languages, ${USER_IDS.size} broadcast recipients`);
 }
 
-// ========== Roles and Languages ==========
-const roles = [
-  'Mathematician', 'Econometician', 'Doctor', 'Brain Master', 'Physicist', 'Chemist', 'Biologist',
-  'Engineer', 'Philosopher', 'Psychologist', 'Spiritual Advisor', 'AI Researcher', 'Teacher', 'Professor',
-  'Developer', 'Data Scientist', 'Statistician', 'Entrepreneur', 'Journalist', 'History Expert', 'Lawyer',
-  'Accountant', 'Investor', 'Startup Mentor', 'UX Designer', 'Therapist', 'Nutritionist', 'Fitness Coach',
-  'Poet', 'Author', 'Script Writer', 'Public Speaker', 'Game Developer', 'Ethical Hacker', 'Security Analyst',
-  'DevOps Engineer', 'Cloud Expert', 'Geographer', 'Astronomer', 'Political Analyst', 'Environmental Scientist',
-  'AI Lawyer', 'Robotics Engineer', 'Medical Researcher', 'Economist', 'Agronomist', 'Anthropologist',
-  'Cryptographer', 'Quantum Physicist', 'Visionary', 'Linguist', 'AI Trainer', 'Mobile Developer',
-  'Web Developer', 'Data Analyst', 'System Admin', 'Logician', 'Neuroscientist', 'Ecologist', 'Marine Biologist',
-  'Meteorologist', 'Cybersecurity Expert', 'Economics Tutor', 'Healthcare Consultant', 'Project Manager',
-  'Content Creator', 'SEO Expert', 'Social Media Strategist', 'Pharmacologist', 'Dentist', 'Veterinarian',
-  'Music Theorist', 'AI Ethicist', 'Language Tutor', 'Blockchain Developer', 'Geneticist', 'Psychiatrist',
-  'UX Researcher', 'Game Designer', 'Legal Advisor', 'Literary Critic', 'Cultural Analyst', 'Civil Engineer',
-  'Mechanical Engineer', 'Electrical Engineer', 'AI Psychologist', 'Film Critic', 'Forensic Scientist',
-  'Statistic Tutor', 'AI Architect', 'AI Philosopher', 'Hardware Engineer', 'Nutrition Coach', 'Space Scientist',
-  'Theologian'
-];
+// ========== Audit Log ==========
+/**
+ * Append-only record of administrative actions
+ *
+ * Every role change, note, ban, broadcast, ticket action and settings change is recorded
+ * as { at, actor, action, target, args }: who did it, what (e.g. role.grant), the user it
+ * was done to (null when none) and its arguments. Entries are never changed or removed.
+ * /auditlog [user|action] [days] shows recent entries, /auditlog export sends them as a file
+ * (owner only). Users are given as @username or id:<n>, so a bare number is always days.
+ */
+const AUDIT_LIST_LIMIT = 15; // Entries shown by /auditlog, newest first
+const AUDIT_DEFAULT_DAYS = 7;
 
-const languages = [
-  { code: 'en', label: '🇬🇧 English' },
-  { code: 'fr', label: '🇫🇷 French' },
-  { code: 'es', label: '🇪🇸 Spanish' },
-  { code: 'de', label: '🇩🇪 German' },
-  { code: 'ar', label: '🇸🇦 Arabic' },
-  { code: 'hi', label: '🇮🇳 Hindi' },
-  { code: 'yo', label: '🇳🇬 Yoruba' },
-  { code: 'ig', label: '🇳🇬 Igbo' },
-  { code: 'zh', label: '🇨🇳 Chinese' },
-  { code: 'ru', label: '🇷🇺 Russian' },
-  { code: 'ja', label: '🇯🇵 Japanese' },
+let auditLog = []; // Oldest first
+
+// Load the audit log from storage
+async function loadAuditLog() {
+  try {
+    auditLog = (await storage.loadAuditLog()) || [];
+    console.log(`📜 Loaded ${auditLog.length} audit log entries`);
+  } catch (error) {
+    console.error('❌ Error loading audit log:', error.message);
+  }
+}
+
+// Record an administrative action, targetId is the user it was done to (if any)
+async function recordAudit(actorId, action, targetId = null, args = {}) {
+  const entry = { at: new Date().toISOString(), actor: actorId, action, target: targetId, args };
+  auditLog.push(entry);
+  try {
+    await storage.appendAuditLog(entry);
+  } catch (error) {
+    console.error('❌ Error writing audit log:', error.message);
+  }
+  return entry;
+}
+
+// Parse /auditlog filters: @username or id:<n>, an action or action group (e.g. broadcast) and 30d,
+// a bare number is only accepted last (as days), errors are in viewerId's language
+function parseAuditFilters(words, viewerId) {
+  const filters = {};
+  for (const [index, word] of words.entries()) {
+    const days = word.match(/^(\d+)d?$/i);
+    const userId = word.match(/^id:(\d+)$/i);
+    if (days && /^\d+$/.test(word) && index < words.length - 1) {
+      return { error: t(viewerId, 'audit.error_bare_number', { value: word }) };
+    } else if (days && Number(days[1]) === 0) {
+      return { error: t(viewerId, 'audit.error_zero_days', { value: word }) };
+    } else if (days) {
+      filters.days = Number(days[1]);
+    } else if (userId) {
+      filters.userId = Number(userId[1]);
+    } else if (word.startsWith('@')) {
+      const user = findUserByReference(word);
+      if (!user) return { error: t(viewerId, 'audit.error_user_not_found', { user: word }) };
+      filters.userId = user.id;
+    } else {
+      filters.action = word.toLowerCase();
+    }
+  }
+  return filters;
+}
+
+// Entries matching the filters, oldest first; the user filter matches both actor and target
+function filterAuditLog({ userId, action, days }) {
+  const since = days ? Date.now() - days * DAY_MS : 0;
+  return auditLog.filter(entry =>
+    (!userId || entry.actor === userId || entry.target === userId) &&
+    (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+    new Date(entry.at).getTime() >= since
+  );
+}
+
+// Build the /auditlog view of the latest matching entries in the viewer's language
+// (actions and their arguments are shown as recorded)
+function buildAuditLogView(filters, viewerId) {
+  const days = filters.days || AUDIT_DEFAULT_DAYS;
+  const entries = filterAuditLog({ ...filters, days });
+  const scope = [filters.userId && getTicketUserName(filters.userId, viewerId), filters.action].filter(Boolean).join(', ');
+  
+  let text = t(viewerId, 'audit.view_title', { count: entries.length, days }) + (scope ? ` · ${scope}` : '') + '\n\n';
+  entries.slice(-AUDIT_LIST_LIMIT).reverse().forEach(entry => {
+    text += `🕒 ${formatBroadcastTime(entry.at)} · ${entry.action}\n`;
+    text += `   👤 ${getTicketUserName(entry.actor, viewerId)}${entry.target ? ` → ${getTicketUserName(entry.target, viewerId)}` : ''}\n`;
+    const args = Object.entries(entry.args || {}).filter(([, value]) => value !== null && value !== undefined);
+    if (args.length > 0) text += `   ${args.map(([key, value]) => `${key}: ${getTicketPreview(String(value))}`).join(' · ')}\n`;
+  });
+  if (entries.length === 0) text += t(viewerId, 'audit.view_empty') + '\n';
+  if (entries.length > AUDIT_LIST_LIMIT) text += t(viewerId, 'audit.view_more', { count: entries.length - AUDIT_LIST_LIMIT }) + '\n';
+  text += '\n' + t(viewerId, 'audit.view_hints');
+  return text;
+}
+
+// ========== Roles and Languages ==========
+/**
+ * Expert roles are declared in roles.json
+ *
+ * Each category sets a default tone, answer format and safety notes; each role
+ * adds its own system prompt and may override any of those. The resulting
+ * instructions are sent to every provider (see buildRoleInstructions).
+ * Users can add their own personas with /persona, stored in personas.json.
+ */
+const ROLES_FILE = './roles.json';
+const DEFAULT_ROLE = 'Brain Master';
+
+// Used when roles.json cannot be loaded
+const FALLBACK_ROLE_DEFINITION = {
+  name: DEFAULT_ROLE,
+  category: 'mind',
+  prompt: 'You are a brilliant all-round expert who gives accurate, insightful answers on any topic.'
+};
+
+let roleCategories = []; // [{ id, label, tone, format, safety }]
+let roleDefinitions = {}; // { name: { name, category, prompt, tone, format, safety } }
+let roles = []; // Built-in role names in picker order
+
+// Load role definitions from roles.json, applying category defaults to each role
+async function loadRoleDefinitions() {
+  try {
+    const config = await fs.readJson(ROLES_FILE);
+    const categories = config.categories || [];
+    const definitions = {};
+    for (const entry of config.roles || []) {
+      const category = categories.find(c => c.id === entry.category);
+      if (!entry.name || !entry.prompt || !category) {
+        console.error(`❌ Skipping invalid role definition: ${entry.name || JSON.stringify(entry)}`);
+        continue;
+      }
+      definitions[entry.name] = {
+        name: entry.name,
+        category: category.id,
+        prompt: entry.prompt,
+        tone: entry.tone || category.tone,
+        format: entry.format || category.format,
+        safety: entry.safety || category.safety
+      };
+    }
+    roleCategories = categories;
+    roleDefinitions = definitions;
+    roles = Object.keys(definitions);
+    console.log(`🧠 Loaded ${roles.length} roles in ${categories.length} categories`);
+  } catch (error) {
+    console.error('❌ Error loading role definitions:', error.message);
+  }
+  return roleDefinitions;
+}
+
+// Look up the definition behind a stored role: a built-in role name or "persona:<id>"
+// Falls back to the default role when the role or persona is no longer available
+function getRoleDefinition(role, userId) {
+  if (typeof role === 'string' && role.startsWith(PERSONA_ROLE_PREFIX)) {
+    const persona = personas[role.slice(PERSONA_ROLE_PREFIX.length)];
+    if (persona && canUsePersona(persona, userId)) {
+      return {
+        name: persona.name,
+        category: 'custom',
+        prompt: persona.prompt,
+        tone: persona.tone,
+        format: persona.format,
+        safety: CUSTOM_PERSONA_SAFETY
+      };
+    }
+  }
+  return roleDefinitions[role] || roleDefinitions[DEFAULT_ROLE] || FALLBACK_ROLE_DEFINITION;
+}
+
+// Display name of a user's current role
+function getUserRoleLabel(userId) {
+  return getRoleDefinition(userRoles[userId] || DEFAULT_ROLE, userId).name;
+}
+
+// Build the system instructions shared by all providers for a role and language
+function buildRoleInstructions(definition, lang) {
+  const lines = [
+    'You are Cool Shot AI, an intelligent assistant developed by Cool Shot Systems.',
+    `Current expert role: ${definition.name}. ${definition.prompt}`
+  ];
+  if (definition.tone) lines.push(`Tone: ${definition.tone}`);
+  if (definition.format) lines.push(`Answer format: ${definition.format}`);
+  if (definition.safety) lines.push(`Safety: ${definition.safety}`);
+  lines.push(`Respond in ${getLanguageName(lang)}.`);
+  return lines.join('\n');
+}
+
+const languages = [
+  { code: 'en', label: '🇬🇧 English' },
+  { code: 'fr', label: '🇫🇷 French' },
+  { code: 'es', label: '🇪🇸 Spanish' },
+  { code: 'de', label: '🇩🇪 German' },
+  { code: 'ar', label: '🇸🇦 Arabic' },
+  { code: 'hi', label: '🇮🇳 Hindi' },
+  { code: 'yo', label: '🇳🇬 Yoruba' },
+  { code: 'ig', label: '🇳🇬 Igbo' },
+  { code: 'zh', label: '🇨🇳 Chinese' },
+  { code: 'ru', label: '🇷🇺 Russian' },
+  { code: 'ja', label: '🇯🇵 Japanese' },
   { code: 'pt', label: '🇵🇹 Portuguese' },
   { code: 'it', label: '🇮🇹 Italian' },
   { code: 'tr', label: '🇹🇷 Turkish' },
-  { code: 'sw', label: '🇰🇪 Swahili' }
+  { code: 'sw', label: '🇰🇪 Swahili' },
+  { code: 'ha', label: '🇳🇬 Hausa' }
+];
+
+// Language name without its flag, as used in AI instructions
+function getLanguageName(code) {
+  return languages.find(l => l.code === code)?.label.replace(/^\S+\s/, '') || 'English';
+}
+
+// ========== Localization ==========
+/**
+ * Bot interface strings live in locales/<language code>.json
+ *
+ * Each catalog maps keys such as "help.text" to text with {placeholder}
+ * values. Missing keys fall back to English (locales/en.json is complete by
+ * definition). Catalog text may use **bold**, _italic_ and `code`; tmd()
+ * renders it for MarkdownV2 and escapes everything else, including values.
+ * /translations reports keys that are still untranslated per language.
+ *
+ * Every string sent to Telegram goes through t()/tmd(), admin views included.
+ * Only data is passed through as-is: names, IDs, provider and rule ids,
+ * command syntax and user text. Logs and REST API responses stay English.
+ */
+const LOCALES_DIR = './locales';
+const DEFAULT_LANGUAGE = 'en';
+
+let translations = {}; // { languageCode: { key: text } }
+
+// Load every language catalog from the locales directory
+async function loadTranslations() {
+  const loaded = {};
+  for (const { code } of languages) {
+    const file = `${LOCALES_DIR}/${code}.json`;
+    try {
+      if (await fs.pathExists(file)) {
+        loaded[code] = await fs.readJson(file);
+      }
+    } catch (error) {
+      console.error(`❌ Error loading translations for ${code}:`, error.message);
+    }
+  }
+  translations = loaded;
+  const englishKeys = Object.keys(translations[DEFAULT_LANGUAGE] || {}).length;
+  console.log(`🌐 Loaded ${Object.keys(translations).length} interface languages (${englishKeys} keys)`);
+  return translations;
+}
+
+// A user's interface language (their /lang choice)
+function getUserLanguage(userId) {
+  return userLanguages[userId] || DEFAULT_LANGUAGE;
+}
+
+// Look up a key in a language, falling back to English and then to the key itself
+function translate(lang, key, vars = {}) {
+  const catalog = translations[lang] || {};
+  const template = catalog[key] ?? (translations[DEFAULT_LANGUAGE] || {})[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+// Whether a key exists in the English catalog
+function hasTranslation(key) {
+  return Boolean(translations[DEFAULT_LANGUAGE] && translations[DEFAULT_LANGUAGE][key] !== undefined);
+}
+
+// Translate a key for a user as plain text
+function t(userId, key, vars = {}) {
+  return translate(getUserLanguage(userId), key, vars);
+}
+
+// Translate a key into a language and render it as MarkdownV2
+// Values are substituted after rendering so user text is never treated as formatting
+function translateMarkdown(lang, key, vars = {}) {
+  const values = [];
+  const placeholders = {};
+  for (const [name, value] of Object.entries(vars)) {
+    values.push(String(value));
+    placeholders[name] = `\u0000${values.length - 1}\u0000`;
+  }
+  return markdownToMarkdownV2(translate(lang, key, placeholders))
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => escapeMarkdownV2Text(values[index]));
+}
+
+// Translate a key for a user and render it as MarkdownV2
+function tmd(userId, key, vars = {}) {
+  return translateMarkdown(getUserLanguage(userId), key, vars);
+}
+
+// Keys missing from each language compared to English, and keys whose placeholders differ
+function findUntranslatedKeys() {
+  const english = translations[DEFAULT_LANGUAGE] || {};
+  const placeholdersOf = text => (text.match(/\{\w+\}/g) || []).sort().join(',');
+  const report = {};
+  for (const { code } of languages) {
+    if (code === DEFAULT_LANGUAGE) continue;
+    const catalog = translations[code] || {};
+    report[code] = {
+      missing: Object.keys(english).filter(key => catalog[key] === undefined),
+      mismatched: Object.keys(english).filter(key =>
+        catalog[key] !== undefined && placeholdersOf(catalog[key]) !== placeholdersOf(english[key])
+      )
+    };
+  }
+  return report;
+}
+
+// ========== Language Detection ==========
+/**
+ * Automatic language detection for users who have not picked a /lang
+ *
+ * Each incoming message is classified locally: non-Latin scripts (kana, Han,
+ * Arabic, Devanagari, Cyrillic) decide the language directly, and Latin text
+ * is scored against the common words, distinctive letters and character
+ * trigrams of the profiles in language-profiles.json. The detected language
+ * is used for the AI call and the reply header. After a few messages in the
+ * same language the bot offers, once per language, to make it the /lang choice.
+ */
+const LANGUAGE_PROFILES_FILE = './language-profiles.json';
+const AUTO_LANGUAGE_DETECTION = process.env.AUTO_LANGUAGE_DETECTION !== 'false';
+const DETECTION_MIN_LETTERS = 8;     // Shorter Latin messages keep the previous language
+const DETECTION_MIN_MARGIN = 1.2;    // Best score must beat the runner-up by this factor
+const LANGUAGE_SUGGEST_AFTER = 3;    // Consecutive detections before suggesting /lang
+
+const KANA_PATTERN = /[\u3040-\u30ff]/g;
+const HAN_PATTERN = /[\u4e00-\u9fff]/g;
+// Scripts that identify a language on their own
+const SCRIPT_LANGUAGES = [
+  { code: 'ar', pattern: /[\u0600-\u06ff]/g },
+  { code: 'hi', pattern: /[\u0900-\u097f]/g },
+  { code: 'ru', pattern: /[\u0400-\u04ff]/g }
 ];
 
-// ========== AI Endpoints ==========
-const aiAPIs = [
-  'https://api.giftedtech.co.ke/api/ai/gpt4o',
-  'https://api.giftedtech.co.ke/api/ai/geminiaipro',
-  'https://api.giftedtech.co.ke/api/ai/meta-llama',
-  'https://api.giftedtech.co.ke/api/ai/copilot',
-  'https://api.giftedtech.co.ke/api/ai/ai'
-];
+let languageProfiles = {}; // { code: { words: Set, letters, trigrams: Map, total } }
+let languageDetections = {}; // { userId: { code, streak } } last confident detection per user
+
+// Lowercase and strip accents so text typed with and without diacritics compares equal
+function normalizeForDetection(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Space-padded character trigrams of every word
+function getTrigrams(text) {
+  const trigrams = [];
+  for (const word of text.split(/[^\p{L}]+/u).filter(Boolean)) {
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      trigrams.push(padded.slice(i, i + 3));
+    }
+  }
+  return trigrams;
+}
+
+// Load the Latin-script language profiles and build their trigram tables
+async function loadLanguageProfiles() {
+  try {
+    const data = await fs.readJson(LANGUAGE_PROFILES_FILE);
+    const loaded = {};
+    for (const [code, profile] of Object.entries(data)) {
+      if (!languages.some(l => l.code === code)) {
+        console.error(`❌ Language profile "${code}" is not in the language list`);
+        continue;
+      }
+      const sampleTrigrams = getTrigrams(normalizeForDetection(profile.sample || ''));
+      const trigrams = new Map();
+      sampleTrigrams.forEach(trigram => trigrams.set(trigram, (trigrams.get(trigram) || 0) + 1));
+      loaded[code] = {
+        words: new Set((profile.words || []).map(normalizeForDetection)),
+        letters: [...(profile.letters || '')],
+        trigrams,
+        total: sampleTrigrams.length || 1
+      };
+    }
+    languageProfiles = loaded;
+    console.log(`🔎 Loaded ${Object.keys(languageProfiles).length} language detection profiles`);
+  } catch (error) {
+    console.error('❌ Error loading language profiles:', error.message);
+    languageProfiles = {};
+  }
+  return languageProfiles;
+}
+
+// Detect the language of a message, or null when the text is too short or ambiguous
+function detectLanguage(message) {
+  const text = message.replace(/https?:\/\/\S+|`[^`]*`/g, ' ');
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return null;
+  const countOf = pattern => (text.match(pattern) || []).length;
+
+  // Non-Latin scripts: the script covering most letters decides
+  const kana = countOf(KANA_PATTERN);
+  const han = countOf(HAN_PATTERN);
+  if (kana > 0 && kana + han >= letters.length / 2) return 'ja';
+  if (han >= letters.length / 2) return 'zh';
+  for (const { code, pattern } of SCRIPT_LANGUAGES) {
+    if (countOf(pattern) >= letters.length / 2) return code;
+  }
+  if (letters.length < DETECTION_MIN_LETTERS) return null;
+
+  // Latin scripts: common words, trigram frequencies and distinctive letters
+  const lowered = text.toLowerCase();
+  const normalized = normalizeForDetection(text);
+  const words = normalized.split(/[^\p{L}]+/u).filter(Boolean);
+  const trigrams = getTrigrams(normalized);
+  const scores = Object.entries(languageProfiles).map(([code, profile]) => {
+    const wordScore = words.filter(word => profile.words.has(word)).length / words.length;
+    const trigramScore = trigrams.reduce((sum, trigram) => sum + (profile.trigrams.get(trigram) || 0), 0) /
+      profile.total / trigrams.length * 100;
+    const letterScore = profile.letters.some(letter => lowered.includes(letter)) ? 0.5 : 0;
+    return { code, score: wordScore * 2 + trigramScore + letterScore };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (!best || best.score <= 0) return null;
+  if (runnerUp && best.score < runnerUp.score * DETECTION_MIN_MARGIN) return null;
+  return best.code;
+}
+
+// Language to answer a message in: the user's /lang choice, otherwise the detected language
+function getReplyLanguage(userId, text) {
+  if (userLanguages[userId]) return { lang: userLanguages[userId], detected: false };
+  if (!AUTO_LANGUAGE_DETECTION) return { lang: DEFAULT_LANGUAGE, detected: false };
+
+  const code = detectLanguage(text);
+  const previous = languageDetections[userId];
+  if (!code) {
+    // Short or ambiguous messages keep the last detected language
+    return previous ? { lang: previous.code, detected: true } : { lang: DEFAULT_LANGUAGE, detected: false };
+  }
+  languageDetections[userId] = {
+    code,
+    streak: previous && previous.code === code ? previous.streak + 1 : 1
+  };
+  return { lang: code, detected: true };
+}
+
+// Whether to offer the detected language as the user's /lang choice (once per language)
+function shouldSuggestLanguage(userId) {
+  const detection = languageDetections[userId];
+  const user = users[userId.toString()];
+  if (!detection || !user || userLanguages[userId]) return false;
+  if (detection.code === getUserLanguage(userId)) return false;
+  if ((user.suggestedLanguages || []).includes(detection.code)) return false;
+  return detection.streak >= LANGUAGE_SUGGEST_AFTER;
+}
+
+// Suggest switching /lang, written in the detected language
+async function sendLanguageSuggestion(ctx, code) {
+  const user = users[ctx.from.id.toString()];
+  user.suggestedLanguages = [...(user.suggestedLanguages || []), code];
+  await saveUsers(ctx.from.id);
+
+  const label = languages.find(l => l.code === code)?.label || code;
+  await ctx.replyWithMarkdownV2(translateMarkdown(code, 'lang.suggest', { language: label }), {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: translate(code, 'lang.suggest_switch', { language: label }), callback_data: `lang_${code}` },
+        { text: translate(code, 'lang.suggest_keep'), callback_data: `langkeep_${code}` }
+      ]]
+    }
+  });
+}
+
+// Language menu keyboard, with an auto-detect button when detection is enabled
+function buildLanguageKeyboard(userId) {
+  const keyboard = chunkArray(languages, 3).map(row =>
+    row.map(l => ({ text: l.label, callback_data: `lang_${l.code}` }))
+  );
+  if (AUTO_LANGUAGE_DETECTION) {
+    keyboard.push([{ text: t(userId, 'lang.auto_button'), callback_data: 'lang_auto' }]);
+  }
+  return keyboard;
+}
+
+// ========== Custom Personas ==========
+/**
+ * Users can create their own personas with /persona
+ *
+ * A persona has a name, a description used as its system prompt and optional
+ * tone and answer format. Owners can edit, share and delete their personas;
+ * other users can save a shared persona by its ID. Personas appear alongside
+ * the built-in roles in the role picker and are stored as "persona:<id>" roles.
+ */
+const PERSONA_ROLE_PREFIX = 'persona:';
+const PERSONA_LIMIT = 10;
+const PERSONA_FIELD_LIMITS = { name: 40, prompt: 1000, tone: 100, format: 300 };
+const CUSTOM_PERSONA_SAFETY = 'This is a user-defined persona. Keep following Cool Shot AI safety standards and never claim to be a real person.';
+
+let personas = {}; // { personaId: { id, ownerId, name, prompt, tone, format, shared, savedBy, createdAt, updatedAt } }
+
+// Load personas from storage
+async function loadPersonas() {
+  try {
+    const stored = await storage.loadPersonas();
+    if (stored) {
+      personas = stored;
+      console.log(`🎭 Loaded ${Object.keys(personas).length} custom personas`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading personas:', error.message);
+  }
+}
+
+// Save personas through the storage backend; pass the persona ID that changed or was deleted
+async function savePersonas(personaId) {
+  try {
+    await storage.savePersonas(personas, personaId);
+  } catch (error) {
+    console.error('❌ Error saving personas:', error.message);
+  }
+}
+
+// Owners can always use their personas, others only while it is shared and saved
+function canUsePersona(persona, userId) {
+  const userIdStr = String(userId);
+  return String(persona.ownerId) === userIdStr || (persona.shared && persona.savedBy.includes(userIdStr));
+}
+
+// Personas a user created or saved, oldest first
+function getUserPersonas(userId) {
+  return Object.values(personas)
+    .filter(persona => canUsePersona(persona, userId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Validate a persona field, returns an error message in the user's language or null
+function validatePersonaField(userId, field, value) {
+  if (!PERSONA_FIELD_LIMITS[field]) {
+    return t(userId, 'persona.error_unknown_field', { field, fields: Object.keys(PERSONA_FIELD_LIMITS).join(', ') });
+  }
+  if ((field === 'name' || field === 'prompt') && !value) {
+    return t(userId, 'persona.error_empty', { field });
+  }
+  if (value.length > PERSONA_FIELD_LIMITS[field]) {
+    return t(userId, 'persona.error_too_long', { field, limit: PERSONA_FIELD_LIMITS[field] });
+  }
+  return null;
+}
+
+// Create a persona owned by a user, returns { success, persona } or { success: false, error }
+async function createPersona(userId, fields) {
+  const owned = Object.values(personas).filter(p => String(p.ownerId) === String(userId));
+  if (owned.length >= PERSONA_LIMIT) {
+    return { success: false, error: t(userId, 'persona.error_limit', { limit: PERSONA_LIMIT }) };
+  }
+  for (const [field, value] of Object.entries(fields)) {
+    const error = validatePersonaField(userId, field, value);
+    if (error) return { success: false, error };
+  }
+
+  let id;
+  do {
+    id = Math.random().toString(36).slice(2, 8);
+  } while (personas[id]);
+
+  const now = new Date().toISOString();
+  personas[id] = {
+    id,
+    ownerId: String(userId),
+    name: fields.name,
+    prompt: fields.prompt,
+    tone: fields.tone || '',
+    format: fields.format || '',
+    shared: false,
+    savedBy: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  await savePersonas(id);
+  return { success: true, persona: personas[id] };
+}
+
+// Change one field of a persona the user owns
+async function updatePersona(userId, personaId, field, value) {
+  const persona = personas[personaId];
+  if (!persona || String(persona.ownerId) !== String(userId)) {
+    return { success: false, error: t(userId, 'persona.error_not_owned') };
+  }
+  const error = validatePersonaField(userId, field, value);
+  if (error) return { success: false, error };
+
+  persona[field] = value;
+  persona.updatedAt = new Date().toISOString();
+  await savePersonas(personaId);
+  return { success: true, persona };
+}
+
+// Turn sharing on or off for a persona the user owns
+async function setPersonaShared(userId, personaId, shared) {
+  const persona = personas[personaId];
+  if (!persona || String(persona.ownerId) !== String(userId)) {
+    return { success: false, error: t(userId, 'persona.error_not_owned') };
+  }
+  persona.shared = shared;
+  persona.updatedAt = new Date().toISOString();
+  await savePersonas(personaId);
+  return { success: true, persona };
+}
+
+// Save someone else's shared persona to the user's list
+async function savePersonaForUser(userId, personaId) {
+  const persona = personas[personaId];
+  const userIdStr = String(userId);
+  if (!persona || (!persona.shared && persona.ownerId !== userIdStr)) {
+    return { success: false, error: t(userId, 'persona.error_not_shared') };
+  }
+  if (persona.ownerId === userIdStr) {
+    return { success: false, error: t(userId, 'persona.error_own') };
+  }
+  if (!persona.savedBy.includes(userIdStr)) {
+    persona.savedBy.push(userIdStr);
+    await savePersonas(personaId);
+  }
+  return { success: true, persona };
+}
+
+// Delete a persona the user owns, or remove a saved one from their list
+async function removePersona(userId, personaId) {
+  const persona = personas[personaId];
+  const userIdStr = String(userId);
+  if (!persona || !canUsePersona(persona, userId)) {
+    return { success: false, error: t(userId, 'persona.error_not_in_list') };
+  }
+  if (persona.ownerId === userIdStr) {
+    delete personas[personaId];
+  } else {
+    persona.savedBy = persona.savedBy.filter(id => id !== userIdStr);
+  }
+  await savePersonas(personaId);
+  return { success: true, persona, deleted: persona.ownerId === userIdStr };
+}
+
+// ========== Role Picker ==========
+/**
+ * The role picker opens on a category menu with the user's recently used roles
+ * on top. Each category lists its roles a page at a time; /role <text> and
+ * inline queries (@bot <text>) search role names and descriptions.
+ *
+ * Callback data:
+ *   show_role                    - category menu
+ *   rolecat_<category>_<page>    - one page of a category ("custom" = personas)
+ *   rolesearch_<page>_<query>    - one page of search results
+ *   role_<name|persona:id>       - select a role
+ */
+const ROLE_PAGE_SIZE = 12;
+const ROLE_PICKER_COLUMNS = 3;
+const RECENT_ROLES_LIMIT = 4;
+const ROLE_SEARCH_MAX_LENGTH = 40;
+const ROLE_SEARCH_MAX_BYTES = 48; // Keeps rolesearch_<page>_<query> within Telegram's 64-byte callback data
+const PERSONA_CATEGORY = { id: 'custom', label: '🎭 My Personas' };
+
+// Category label in the user's language, falling back to the label in roles.json
+function getCategoryLabel(userId, category) {
+  const key = `role.category.${category.id}`;
+  return hasTranslation(key) ? t(userId, key) : category.label;
+}
+
+// Shorten a search query to ROLE_SEARCH_MAX_LENGTH characters and ROLE_SEARCH_MAX_BYTES UTF-8 bytes
+function clipRoleSearchQuery(query) {
+  const chars = Array.from(query.trim()).slice(0, ROLE_SEARCH_MAX_LENGTH);
+  while (Buffer.byteLength(chars.join('')) > ROLE_SEARCH_MAX_BYTES) chars.pop();
+  return chars.join('').trim();
+}
+
+// Remember a role at the front of a user's recently used list
+function rememberRecentRole(userId, role) {
+  const user = users[userId.toString()];
+  if (!user) return;
+  const recent = (user.recentRoles || []).filter(r => r !== role);
+  user.recentRoles = [role, ...recent].slice(0, RECENT_ROLES_LIMIT);
+}
+
+// Every role a user can pick: built-in roles followed by their personas
+function getRoleChoices(userId) {
+  const builtIn = roles.map(name => ({
+    value: name,
+    name,
+    category: roleDefinitions[name].category,
+    description: roleDefinitions[name].prompt
+  }));
+  const custom = getUserPersonas(userId).map(persona => ({
+    value: `${PERSONA_ROLE_PREFIX}${persona.id}`,
+    name: `🎭 ${persona.name}`,
+    category: PERSONA_CATEGORY.id,
+    description: persona.prompt
+  }));
+  return [...builtIn, ...custom];
+}
+
+// Find roles matching a search, name matches first, then description matches
+function searchRoles(userId, query) {
+  const needle = query.toLowerCase().trim();
+  if (!needle) return [];
+  const choices = getRoleChoices(userId);
+  const byName = choices.filter(choice => choice.name.toLowerCase().includes(needle));
+  const byDescription = choices.filter(choice =>
+    !byName.includes(choice) && choice.description.toLowerCase().includes(needle)
+  );
+  byName.sort((a, b) => Number(!a.name.toLowerCase().startsWith(needle)) - Number(!b.name.toLowerCase().startsWith(needle)));
+  return [...byName, ...byDescription];
+}
+
+// One page of role buttons plus Prev/Next navigation, pageCallback(page) builds the page callback data
+function buildRolePageKeyboard(userId, choices, page, pageCallback) {
+  const pages = Math.max(1, Math.ceil(choices.length / ROLE_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const pageChoices = choices.slice(current * ROLE_PAGE_SIZE, (current + 1) * ROLE_PAGE_SIZE);
+  const keyboard = chunkArray(pageChoices, ROLE_PICKER_COLUMNS).map(row =>
+    row.map(choice => ({ text: choice.name, callback_data: `role_${choice.value}` }))
+  );
+  if (pages > 1) {
+    const navigation = [];
+    if (current > 0) navigation.push({ text: t(userId, 'role.prev'), callback_data: pageCallback(current - 1) });
+    navigation.push({ text: `${current + 1}/${pages}`, callback_data: 'noop' });
+    if (current < pages - 1) navigation.push({ text: t(userId, 'role.next'), callback_data: pageCallback(current + 1) });
+    keyboard.push(navigation);
+  }
+  keyboard.push([{ text: t(userId, 'role.back'), callback_data: 'show_role' }]);
+  return keyboard;
+}
+
+// Category menu with the recently used roles on top, returns { text, keyboard }
+function buildRoleMenu(userId) {
+  const keyboard = [];
+  const user = users[userId.toString()];
+  const choices = getRoleChoices(userId);
+  const recent = ((user && user.recentRoles) || [])
+    .map(value => choices.find(choice => choice.value === value))
+    .filter(Boolean);
+  if (recent.length > 0) {
+    keyboard.push(...chunkArray(recent, 2).map(row =>
+      row.map(choice => ({ text: `🕘 ${choice.name}`, callback_data: `role_${choice.value}` }))
+    ));
+  }
+
+  const categories = [...roleCategories];
+  if (choices.some(choice => choice.category === PERSONA_CATEGORY.id)) {
+    categories.push(PERSONA_CATEGORY);
+  }
+  const categoryButtons = categories.map(category => {
+    const count = choices.filter(choice => choice.category === category.id).length;
+    return { text: `${getCategoryLabel(userId, category)} (${count})`, callback_data: `rolecat_${category.id}_0` };
+  });
+  keyboard.push(...chunkArray(categoryButtons, 2));
+
+  const text = `${tmd(userId, 'role.menu_title')}\n\n` +
+    `${tmd(userId, 'role.menu_current', { role: getUserRoleLabel(userId) })}\n` +
+    (recent.length > 0 ? `${tmd(userId, 'role.menu_recent')}\n` : '') +
+    tmd(userId, 'role.menu_hint');
+  return { text, keyboard };
+}
+
+// One page of a category, returns { text, keyboard }
+function buildRoleCategoryView(userId, categoryId, page) {
+  const category = categoryId === PERSONA_CATEGORY.id
+    ? PERSONA_CATEGORY
+    : roleCategories.find(c => c.id === categoryId);
+  if (!category) return buildRoleMenu(userId);
+  const choices = getRoleChoices(userId).filter(choice => choice.category === category.id);
+  const text = `🧠 *${escapeMarkdownV2Text(getCategoryLabel(userId, category))}*\n\n${tmd(userId, 'role.select_hint')}`;
+  const keyboard = buildRolePageKeyboard(userId, choices, page, p => `rolecat_${category.id}_${p}`);
+  return { text, keyboard };
+}
+
+// One page of search results, returns { text, keyboard }
+function buildRoleSearchView(userId, query, page) {
+  const choices = searchRoles(userId, query);
+  const text = choices.length > 0
+    ? `${tmd(userId, 'role.search_results', { query, count: choices.length })}\n\n${tmd(userId, 'role.select_hint')}`
+    : `${tmd(userId, 'role.search_empty', { query })}\n\n${tmd(userId, 'role.search_empty_hint')}`;
+  const keyboard = buildRolePageKeyboard(userId, choices, page, p => `rolesearch_${p}_${query}`);
+  return { text, keyboard };
+}
+
+// ========== AI Provider Registry ==========
+/**
+ * AI providers are declared in providers.json
+ *
+ * Each provider has: id, name, type, enabled, priority (lower runs first),
+ * timeout (ms), apiKeyEnv (env var holding its key) and, for generic HTTP
+ * providers, a request/response mapping. Supported types:
+ *   - giftedtech: GiftedTech GET endpoints ({ result } responses)
+ *   - http:       any endpoint described by request/response mapping
+ *   - openai:     OpenAI-style /chat/completions endpoints
+ *   - gemini:     Google Gemini through the official SDK
+ *
+ * Request templates may use {{prompt}}, {{message}}, {{instructions}} (the role's
+ * system instructions), {{role}}, {{lang}} and {{apiKey}}.
+ * openai and gemini providers stream their answers unless "stream": false is set.
+ * Admins can reload the file or toggle providers with /providers.
+ */
+const PROVIDERS_FILE = './providers.json';
+
+// Defaults applied per provider type before the provider's own settings
+const PROVIDER_TYPE_DEFAULTS = {
+  giftedtech: {
+    timeout: 8000,
+    apiKeyEnv: 'AI_API_KEY',
+    apiKeyDefault: 'gifted',
+    request: {
+      method: 'GET',
+      params: { apikey: '{{apiKey}}', q: '{{instructions}}\n\n{{prompt}}', lang: '{{lang}}' }
+    },
+    response: { path: 'result' }
+  },
+  http: {
+    timeout: 10000,
+    request: { method: 'GET' },
+    response: { path: 'result' }
+  },
+  openai: {
+    timeout: 20000,
+    stream: true,
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  gemini: {
+    timeout: 20000,
+    stream: true,
+    apiKeyEnv: 'GOOGLE_API_KEY',
+    model: 'gemini-1.5-flash'
+  }
+};
+
+let aiProviders = []; // Normalized providers from providers.json
+
+// Fill in type defaults and validate a provider entry
+function normalizeProvider(entry, index) {
+  if (!entry.id || !entry.type) {
+    throw new Error(`Provider #${index + 1} is missing an id or type`);
+  }
+  const defaults = PROVIDER_TYPE_DEFAULTS[entry.type];
+  if (!defaults) {
+    throw new Error(`Provider "${entry.id}" has unknown type "${entry.type}"`);
+  }
+  return {
+    ...defaults,
+    ...entry,
+    name: entry.name || entry.id,
+    enabled: entry.enabled !== false,
+    stream: (entry.stream !== undefined ? entry.stream : defaults.stream) === true,
+    priority: typeof entry.priority === 'number' ? entry.priority : (index + 1) * 10,
+    request: { ...defaults.request, ...entry.request },
+    response: { ...defaults.response, ...entry.response }
+  };
+}
+
+// Load providers from providers.json
+async function loadProviders() {
+  try {
+    const config = await fs.readJson(PROVIDERS_FILE);
+    aiProviders = (config.providers || []).map(normalizeProvider);
+    loadRoutingConfig(config.routing);
+    console.log(`🔌 Loaded ${aiProviders.length} AI providers (${getActiveProviders().length} active, ${aiRouting.mode} routing)`);
+  } catch (error) {
+    console.error('❌ Error loading AI providers:', error.message);
+  }
+  return aiProviders;
+}
+
+// Save the enabled/priority settings (and optionally new routing settings) back to providers.json
+async function saveProviders(routing = null) {
+  try {
+    const config = await fs.readJson(PROVIDERS_FILE);
+    config.providers = (config.providers || []).map(entry => {
+      const provider = aiProviders.find(p => p.id === entry.id);
+      return provider ? { ...entry, enabled: provider.enabled, priority: provider.priority } : entry;
+    });
+    if (routing) {
+      config.routing = { ...config.routing, ...routing };
+    }
+    await fs.writeJson(PROVIDERS_FILE, config, { spaces: 2 });
+  } catch (error) {
+    console.error('❌ Error saving AI providers:', error.message);
+  }
+}
+
+// Resolve a provider's API key from its environment variable
+function getProviderApiKey(provider) {
+  return (provider.apiKeyEnv && process.env[provider.apiKeyEnv]) || provider.apiKeyDefault || null;
+}
+
+// A provider is usable when its credentials are available
+function isProviderConfigured(provider) {
+  if (provider.type === 'giftedtech' || (provider.type === 'http' && !provider.apiKeyEnv)) {
+    return true;
+  }
+  return Boolean(getProviderApiKey(provider));
+}
+
+// Enabled and configured providers in priority order
+function getActiveProviders() {
+  return aiProviders
+    .filter(provider => provider.enabled && isProviderConfigured(provider))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+// Replace {{placeholders}} in strings, arrays and objects
+function fillTemplate(template, values) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : ''));
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => fillTemplate(item, values));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, fillTemplate(value, values)])
+    );
+  }
+  return template;
+}
+
+// Read a dotted path such as "choices.0.message.content"
+function getByPath(data, path) {
+  if (!path) return data;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Call a generic HTTP provider using its request/response mapping
+async function callHttpProvider(provider, request, signal) {
+  const values = { ...request, apiKey: getProviderApiKey(provider) || '' };
+  const { method = 'GET', params, body, headers } = provider.request;
+  const { data } = await axios({
+    method,
+    url: fillTemplate(provider.request.url || provider.url, values),
+    params: params ? fillTemplate(params, values) : undefined,
+    data: body ? fillTemplate(body, values) : undefined,
+    headers: headers ? fillTemplate(headers, values) : undefined,
+    timeout: provider.timeout,
+    signal
+  });
+  return getByPath(data, provider.response.path);
+}
+
+// Parse a server-sent events stream, calling onData with each "data:" payload
+function readEventStream(stream, onData) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    stream.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          onData(line.slice(5).trim());
+        }
+      }
+    });
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+}
+
+// Call an OpenAI-style chat completion endpoint
+// When onChunk is given the answer is streamed and onChunk receives the text so far
+async function callOpenAIProvider(provider, request, signal, onChunk) {
+  const messages = [{ role: 'system', content: request.instructions }];
+  request.turns.forEach(turn => {
+    messages.push({ role: 'user', content: turn.question });
+    messages.push({ role: 'assistant', content: turn.answer });
+  });
+  messages.push({ role: 'user', content: request.message });
+
+  const url = `${provider.baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = { Authorization: `Bearer ${getProviderApiKey(provider)}` };
+
+  if (onChunk) {
+    const { data: stream } = await axios.post(
+      url,
+      { model: provider.model, messages, stream: true },
+      { headers, timeout: provider.timeout, signal, responseType: 'stream' }
+    );
+    let text = '';
+    await readEventStream(stream, payload => {
+      if (payload === '[DONE]') return;
+      try {
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onChunk(text);
+        }
+      } catch (error) {
+        // Ignore keep-alive or partial lines
+      }
+    });
+    return text;
+  }
+
+  const { data } = await axios.post(
+    url,
+    { model: provider.model, messages },
+    { headers, timeout: provider.timeout, signal }
+  );
+  return getByPath(data, provider.response.path || 'choices.0.message.content');
+}
+
+// Send a request to a single provider, returns the raw answer text or null
+// An optional AbortSignal cancels the request (used when racing providers)
+// An optional onChunk callback receives the cleaned partial answer from streaming providers
+async function requestProvider(provider, request, signal, onChunk) {
+  const streamChunk = provider.stream && onChunk
+    ? (partial) => onChunk(cleanProviderResponse(partial, provider))
+    : undefined;
+  let text;
+  if (provider.type === 'gemini') {
+    const result = await callGeminiAPI(request.message, request.instructions, request.history, {
+      model: provider.model,
+      apiKey: getProviderApiKey(provider),
+      timeout: provider.timeout,
+      signal,
+      onChunk: streamChunk
+    });
+    text = result.result;
+  } else if (provider.type === 'openai') {
+    text = await callOpenAIProvider(provider, request, signal, streamChunk);
+  } else {
+    text = await callHttpProvider(provider, request, signal);
+  }
+  return typeof text === 'string' && text.trim() ? cleanProviderResponse(text, provider) : null;
+}
+
+// ========== Provider Health & Circuit Breaker ==========
+/**
+ * Provider Health Tracking
+ *
+ * - Every provider call records success/failure and latency
+ * - After CIRCUIT_FAILURE_THRESHOLD consecutive failures the circuit opens
+ *   and the provider is skipped for CIRCUIT_COOLDOWN_MS
+ * - Once the cooldown passes the provider is re-probed in the background;
+ *   a successful probe (or live request) closes the circuit again
+ */
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 5 * 60 * 1000;
+const PROBE_INTERVAL_MS = 60 * 1000;
+const PROBE_REQUEST = {
+  message: 'ping',
+  prompt: 'Reply with the single word OK.',
+  instructions: 'You are Cool Shot AI. Reply with the single word OK.',
+  history: '',
+  turns: [],
+  role: DEFAULT_ROLE,
+  lang: 'en'
+};
+
+let providerHealth = {}; // { providerId: { successes, failures, consecutiveFailures, totalLatency, lastLatency, lastSuccess, lastFailure, lastError, circuitOpenUntil, wins } }
+let probeInterval = null;
+
+// Get (or create) a provider's health record
+function getProviderHealth(providerId) {
+  if (!providerHealth[providerId]) {
+    providerHealth[providerId] = {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      totalLatency: 0,
+      lastLatency: null,
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null,
+      circuitOpenUntil: null,
+      wins: 0 // Races won when several providers are asked at once
+    };
+  }
+  return providerHealth[providerId];
+}
+
+// Record a successful call and close the circuit
+function recordProviderSuccess(provider, latency) {
+  const health = getProviderHealth(provider.id);
+  if (health.circuitOpenUntil) {
+    console.log(`🟢 ${provider.name} recovered, circuit closed`);
+  }
+  health.successes++;
+  health.consecutiveFailures = 0;
+  health.totalLatency += latency;
+  health.lastLatency = latency;
+  health.lastSuccess = new Date().toISOString();
+  health.circuitOpenUntil = null;
+}
+
+// Record a failed call and open the circuit after repeated failures
+function recordProviderFailure(provider, error, latency) {
+  const health = getProviderHealth(provider.id);
+  health.failures++;
+  health.consecutiveFailures++;
+  health.lastLatency = latency;
+  health.lastFailure = new Date().toISOString();
+  health.lastError = error.message;
+  if (health.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+    health.circuitOpenUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+    console.log(`🔴 ${provider.name} failed ${health.consecutiveFailures} times, circuit open for ${CIRCUIT_COOLDOWN_MS / 60000} minutes`);
+  }
+}
+
+// Circuit state: closed (healthy), open (skipped) or half-open (cooldown over, awaiting a probe)
+function getCircuitState(provider) {
+  const health = providerHealth[provider.id];
+  if (!health || !health.circuitOpenUntil) return 'closed';
+  return Date.now() < health.circuitOpenUntil ? 'open' : 'half-open';
+}
+
+// Active providers whose circuit is not open, in priority order
+function getAvailableProviders() {
+  const active = getActiveProviders();
+  const available = active.filter(provider => getCircuitState(provider) !== 'open');
+  // If every circuit is open, try them all rather than failing outright
+  return available.length > 0 ? available : active;
+}
+
+// Call a provider and record its health, returns the cleaned answer text
+// Cancelled requests are not counted as failures
+async function callProvider(provider, request, signal, onChunk) {
+  const startedAt = Date.now();
+  try {
+    const text = await requestProvider(provider, request, signal, onChunk);
+    if (!text) {
+      throw new Error('Empty response');
+    }
+    recordProviderSuccess(provider, Date.now() - startedAt);
+    return text;
+  } catch (error) {
+    if (!(signal && signal.aborted)) {
+      recordProviderFailure(provider, error, Date.now() - startedAt);
+    }
+    throw error;
+  }
+}
+
+// Send a small test request to a provider
+async function probeProvider(provider) {
+  const startedAt = Date.now();
+  try {
+    await callProvider(provider, PROBE_REQUEST);
+    return { provider, ok: true, latency: Date.now() - startedAt };
+  } catch (error) {
+    return { provider, ok: false, latency: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// Probe every active provider concurrently
+async function probeAllProviders() {
+  return Promise.all(getActiveProviders().map(probeProvider));
+}
+
+// Re-probe providers whose circuit cooldown has passed
+async function probeRecoveringProviders() {
+  const recovering = getActiveProviders().filter(provider => getCircuitState(provider) === 'half-open');
+  for (const provider of recovering) {
+    const result = await probeProvider(provider);
+    if (!result.ok) {
+      console.log(`🔴 ${provider.name} still failing: ${result.error}`);
+    }
+  }
+}
+
+// Start the background re-probe loop
+function startProviderProbes() {
+  if (probeInterval) return;
+  probeInterval = setInterval(() => {
+    probeRecoveringProviders().catch(error => console.error('❌ Provider probe error:', error.message));
+  }, PROBE_INTERVAL_MS);
+}
+
+// Format milliseconds as a short duration
+function formatLatency(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+// Describe a provider's measured health in a user's language
+function getProviderHealthLabel(userId, provider) {
+  const health = providerHealth[provider.id];
+  const state = getCircuitState(provider);
+  if (state === 'open') {
+    const minutes = Math.ceil((health.circuitOpenUntil - Date.now()) / 60000);
+    return t(userId, 'providers.health_open', { minutes });
+  }
+  if (state === 'half-open') return t(userId, 'providers.health_half_open');
+  if (!health || health.successes + health.failures === 0) return t(userId, 'providers.health_no_data');
+  const total = health.successes + health.failures;
+  const label = t(userId, 'providers.health_stats', {
+    icon: health.consecutiveFailures > 0 ? '🟠' : '🟢',
+    rate: Math.round((health.successes / total) * 100),
+    successes: health.successes,
+    total,
+    latency: health.successes > 0 ? formatLatency(Math.round(health.totalLatency / health.successes)) : 'n/a'
+  });
+  return aiRouting.mode !== 'sequential' ? label + t(userId, 'providers.health_wins', { wins: health.wins }) : label;
+}
+
+// ========== Provider Routing ==========
+/**
+ * How the provider chain is walked, set by "routing" in providers.json
+ * and overridable per deployment with environment variables:
+ *
+ * - sequential: one provider at a time (uses the least API quota)
+ * - race:       ask the top raceCount providers at once, first answer wins
+ * - hedged:     start the top raceCount providers hedgeDelayMs apart,
+ *               launching the next one early if a request fails
+ *
+ * Losing requests are cancelled with an AbortController. If every raced
+ * provider fails, the remaining providers are tried one at a time.
+ *
+ * Env overrides: AI_ROUTING_MODE, AI_RACE_COUNT, AI_HEDGE_DELAY_MS
+ */
+const ROUTING_MODES = ['sequential', 'race', 'hedged'];
+const DEFAULT_ROUTING = { mode: 'sequential', raceCount: 2, hedgeDelayMs: 1500 };
+
+let aiRouting = { ...DEFAULT_ROUTING };
+
+// Merge routing settings from providers.json with environment overrides
+function loadRoutingConfig(config = {}) {
+  const routing = { ...DEFAULT_ROUTING, ...config };
+  if (process.env.AI_ROUTING_MODE) routing.mode = process.env.AI_ROUTING_MODE;
+  if (process.env.AI_RACE_COUNT) routing.raceCount = parseInt(process.env.AI_RACE_COUNT);
+  if (process.env.AI_HEDGE_DELAY_MS) routing.hedgeDelayMs = parseInt(process.env.AI_HEDGE_DELAY_MS);
+
+  if (!ROUTING_MODES.includes(routing.mode)) {
+    console.log(`⚠️ Unknown AI routing mode "${routing.mode}", using sequential`);
+    routing.mode = 'sequential';
+  }
+  if (isNaN(routing.raceCount) || routing.raceCount < 1) routing.raceCount = DEFAULT_ROUTING.raceCount;
+  if (isNaN(routing.hedgeDelayMs) || routing.hedgeDelayMs < 0) routing.hedgeDelayMs = DEFAULT_ROUTING.hedgeDelayMs;
+  aiRouting = routing;
+  return aiRouting;
+}
+
+// Ask several providers, resolving with the first answer ({ text, provider }) or null if all fail
+// With staggerMs = 0 all providers start at once, otherwise they start staggerMs apart
+// An optional AbortSignal cancels every request and resolves with null
+function raceProviders(providers, request, staggerMs, signal) {
+  return new Promise(resolve => {
+    const controllers = [];
+    const timers = [];
+    let launched = 0;
+    let pending = 0;
+    let settled = false;
+    const onAbort = () => finish(null);
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      timers.forEach(clearTimeout);
+      controllers.forEach(controller => controller.abort());
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+
+    const launch = () => {
+      if (settled || launched >= providers.length) return;
+      const provider = providers[launched++];
+      const controller = new AbortController();
+      controllers.push(controller);
+      pending++;
+
+      callProvider(provider, request, controller.signal)
+        .then(text => finish({ text, provider }))
+        .catch(err => {
+          pending--;
+          if (settled) return;
+          console.error(`❌ AI Request Failed (${provider.name}):`, err.message);
+          if (launched < providers.length) {
+            launch(); // Don't wait for the stagger delay after a failure
+          } else if (pending === 0) {
+            finish(null);
+          }
+        });
+
+      if (staggerMs > 0 && launched < providers.length) {
+        timers.push(setTimeout(launch, staggerMs));
+      }
+    };
+
+    if (signal) {
+      if (signal.aborted) return finish(null);
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (staggerMs > 0) {
+      launch();
+    } else {
+      providers.forEach(launch);
+    }
+  });
+}
+
+// Walk the provider chain using the configured routing mode
+// Returns { text, provider } for the provider that answered, or null
+// onChunk receives partial answers from streaming providers tried one at a time
+// (raced providers never stream, so partial answers cannot interleave)
+// An optional AbortSignal cancels the provider being asked and stops the fallback
+async function runProviderChain(request, onChunk, signal) {
+  const providers = getAvailableProviders();
+  let remaining = providers;
+
+  if (aiRouting.mode !== 'sequential' && providers.length > 1) {
+    const racers = providers.slice(0, aiRouting.raceCount);
+    const staggerMs = aiRouting.mode === 'hedged' ? aiRouting.hedgeDelayMs : 0;
+    const winner = await raceProviders(racers, request, staggerMs, signal);
+    if (winner) {
+      getProviderHealth(winner.provider.id).wins++;
+      console.log(`🏆 ${winner.provider.name} answered first (${aiRouting.mode} routing)`);
+      return winner;
+    }
+    remaining = providers.slice(aiRouting.raceCount);
+  }
+
+  for (const provider of remaining) {
+    if (signal && signal.aborted) break;
+    try {
+      const text = await callProvider(provider, request, signal, onChunk);
+      return { text, provider };
+    } catch (err) {
+      if (signal && signal.aborted) break;
+      console.error(`❌ AI Request Failed (${provider.name}):`, err.message);
+    }
+  }
+  return null;
+}
+
+// Build the request passed to every provider for a user's message
+// role may be a built-in role name or a "persona:<id>" custom persona
+// conversation defaults to the user's history, the chat API passes the caller's messages instead
+function buildProviderRequest(userId, message, role, lang, conversation = conversationHistory[userId]) {
+  const definition = getRoleDefinition(role, userId);
+  return {
+    message,
+    prompt: buildContextualPrompt(conversation, message),
+    history: buildConversationContext(conversation),
+    turns: conversation ? conversation.turns : [],
+    instructions: buildRoleInstructions(definition, lang),
+    role: definition.name,
+    lang
+  };
+}
+
+// Describe a provider's current availability in a user's language
+function getProviderStatusLabel(userId, provider) {
+  if (!provider.enabled) return t(userId, 'providers.status_disabled');
+  if (!isProviderConfigured(provider)) return t(userId, 'providers.status_missing_key', { env: provider.apiKeyEnv });
+  return t(userId, 'providers.status_active');
+}
+
+// Describe the routing mode's race settings, empty for sequential routing
+function getRoutingDetails(userId) {
+  if (aiRouting.mode === 'sequential') return '';
+  return aiRouting.mode === 'hedged'
+    ? t(userId, 'providers.routing_top_apart', { count: aiRouting.raceCount, delay: aiRouting.hedgeDelayMs })
+    : t(userId, 'providers.routing_top', { count: aiRouting.raceCount });
+}
+
+// Build the MarkdownV2 API status dashboard shown by /apistatus and the admin panel
+// When probe results are given they are shown alongside the recorded health
+function buildApiStatusMessage(userId, probeResults = null) {
+  const providers = [...aiProviders].sort((a, b) => a.priority - b.priority);
+  
+  let message = `${tmd(userId, 'apistatus.title')}\n\n`;
+  message += `${tmd(userId, 'apistatus.providers', { active: getActiveProviders().length, total: providers.length })}\n`;
+  providers.forEach((provider, index) => {
+    message += `${tmd(userId, 'apistatus.provider_line', {
+      index: index + 1,
+      name: provider.name,
+      type: provider.type,
+      priority: provider.priority,
+      status: getProviderStatusLabel(userId, provider)
+    })}\n`;
+    if (!provider.enabled || !isProviderConfigured(provider)) return;
+    
+    const probe = probeResults && probeResults.find(result => result.provider.id === provider.id);
+    if (probe) {
+      const latency = formatLatency(probe.latency);
+      message += `   ${probe.ok ? tmd(userId, 'apistatus.probe_ok', { latency }) : tmd(userId, 'apistatus.probe_failed', { latency, error: probe.error })}\n`;
+    }
+    message += `   ${escapeMarkdownV2Text(getProviderHealthLabel(userId, provider))}\n`;
+    const health = providerHealth[provider.id];
+    if (health && health.lastError && health.consecutiveFailures > 0) {
+      message += `   ${tmd(userId, 'apistatus.last_error', { error: health.lastError })}\n`;
+    }
+  });
+  
+  message += `\n${tmd(userId, 'apistatus.flow', { mode: aiRouting.mode })}\n`;
+  if (aiRouting.mode === 'sequential') {
+    message += `${tmd(userId, 'apistatus.flow_sequential')}\n`;
+  } else if (aiRouting.mode === 'race') {
+    message += `${tmd(userId, 'apistatus.flow_race', { count: aiRouting.raceCount })}\n`;
+  } else {
+    message += `${tmd(userId, 'apistatus.flow_hedged', { count: aiRouting.raceCount, delay: aiRouting.hedgeDelayMs })}\n`;
+  }
+  message += `${tmd(userId, 'apistatus.flow_fallback', { failures: CIRCUIT_FAILURE_THRESHOLD, minutes: CIRCUIT_COOLDOWN_MS / 60000 })}\n\n`;
+  message += `${tmd(userId, 'apistatus.brand', { count: brandRules.length })}\n\n`;
+  message += tmd(userId, 'apistatus.footer');
+  return message;
+}
+
+// ========== Brand Protection ==========
+/**
+ * Brand Protection Rewrite Engine
+ *
+ * Rules live in brand-rules.json and are applied in order to every provider
+ * answer (including streamed partials). Each rule has:
+ *   - pattern / replacement: a regular expression and its replacement ($1 etc.)
+ *   - flags: regex flags (default "gi")
+ *   - scope: provider ids or types the rule applies to, "*" for all
+ *   - wordBoundary: wrap the pattern in \b...\b (default true)
+ *   - examples: sample input/output pairs checked by /brandrules check
+ *
+ * Text inside code blocks and inline code is never rewritten. The engine itself lives in
+ * brand-protection.js and is covered by test/brand-rules.test.js.
+ */
+const BRAND_RULES_FILE = './brand-rules.json';
+
+let brandRules = []; // Compiled rules from brand-rules.json
+
+// Load brand protection rules from brand-rules.json
+async function loadBrandRules() {
+  try {
+    const config = await fs.readJson(BRAND_RULES_FILE);
+    brandRules = brandProtection.compileBrandRules(config);
+    console.log(`🛡️ Loaded ${brandRules.length} brand protection rules`);
+  } catch (error) {
+    console.error('❌ Error loading brand rules:', error.message);
+  }
+  return brandRules;
+}
+
+// Apply the brand rules to text outside code, returns { text, applied: [rule ids] }
+function rewriteBrandText(text, provider = null) {
+  return brandProtection.rewriteBrandText(text, brandRules, provider);
+}
+
+// Remove provider names from responses to keep Cool Shot AI branding
+function cleanProviderResponse(text, provider) {
+  return rewriteBrandText(text, provider).text;
+}
+
+// Run every rule's examples, returns the failures
+function checkBrandRuleExamples() {
+  const failures = [];
+  for (const rule of brandRules) {
+    for (const example of rule.examples) {
+      const provider = example.provider
+        ? aiProviders.find(p => p.id === example.provider) || { id: example.provider, type: example.provider }
+        : null;
+      const actual = rewriteBrandText(example.input, provider).text;
+      if (actual !== example.output) {
+        failures.push({ rule: rule.id, input: example.input, expected: example.output, actual });
+      }
+    }
+  }
+  return failures;
+}
+
+// Google Gemini API Configuration
+let geminiAI = null;
+const geminiClients = {}; // Extra clients for providers using a different key
+try {
+  if (process.env.GOOGLE_API_KEY) {
+    geminiAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+    console.log('🤖 Google Gemini API initialized');
+  }
+} catch (error) {
+  console.log('⚠️ Google Gemini API not available:', error.message);
+}
+
+// Get a Gemini client for an API key (defaults to GOOGLE_API_KEY)
+function getGeminiClient(apiKey) {
+  if (!apiKey || apiKey === process.env.GOOGLE_API_KEY) {
+    return geminiAI;
+  }
+  if (!geminiClients[apiKey]) {
+    geminiClients[apiKey] = new GoogleGenerativeAI(apiKey);
+  }
+  return geminiClients[apiKey];
+}
+
+// Google Gemini API call
+// instructions: the role's system instructions (see buildRoleInstructions)
+// options: model, apiKey, timeout, signal, and onChunk to stream the answer as it is generated
+async function callGeminiAPI(prompt, instructions, history = '', options = {}) {
+  const client = getGeminiClient(options.apiKey);
+  if (!client) {
+    throw new Error('Google Gemini API not configured');
+  }
+  
+  try {
+    const model = client.getGenerativeModel(
+      { model: options.model || 'gemini-1.5-flash' },
+      options.timeout ? { timeout: options.timeout } : undefined
+    );
+    
+    // Create a comprehensive prompt that maintains Cool Shot AI identity
+    const systemPrompt = `${instructions}
+Your name is Cool Shot AI and you were created by Cool Shot Systems.
+Never mention Google, Gemini, or any other AI provider names.
+Always maintain the Cool Shot AI identity and branding.
+${history ? `\n${history}\n` : ''}
+User Query: ${prompt}`;
+    
+    const requestOptions = options.signal ? { signal: options.signal } : undefined;
+    let text;
+    if (options.onChunk) {
+      const streamResult = await model.generateContentStream(systemPrompt, requestOptions);
+      text = '';
+      for await (const chunk of streamResult.stream) {
+        text += chunk.text();
+        options.onChunk(text);
+      }
+    } else {
+      const result = await model.generateContent(systemPrompt, requestOptions);
+      const response = await result.response;
+      text = response.text();
+    }
+    
+    if (text && text.trim()) {
+      return { result: text.trim() };
+    }
+    throw new Error('Empty response from Gemini');
+  } catch (error) {
+    console.error('❌ Google Gemini API Error:', error.message);
+    throw error;
+  }
+}
+
+// ========== Conversation Memory ==========
+/**
+ * Per-user conversation history
+ *
+ * - Keeps the most recent exchanges so follow-up questions have context
+ * - Bounded by HISTORY_MAX_TURNS exchanges and HISTORY_MAX_CHARS characters
+ * - Older exchanges are condensed into a short running summary instead of dropped
+ * - Cleared by /forget and /reset
+ */
+const HISTORY_MAX_TURNS = 6; // Full exchanges kept verbatim
+const HISTORY_MAX_CHARS = 2000; // Verbatim history budget sent to providers
+const HISTORY_SUMMARY_CHARS = 600; // Budget for the condensed older context
+let conversationHistory = {}; // { userId: { summary, turns: [{ question, answer, at }] } }
+
+// Shorten text to a maximum length on a word boundary
+function clipText(text, maxLength) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+  const cut = clean.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${cut.slice(0, lastSpace > maxLength / 2 ? lastSpace : maxLength)}…`;
+}
+
+// Get (or create) a user's conversation record
+function getConversation(userId) {
+  if (!conversationHistory[userId]) {
+    conversationHistory[userId] = { summary: '', turns: [] };
+  }
+  return conversationHistory[userId];
+}
+
+// Fold the oldest exchanges into the summary until the history fits its budget
+function compactConversation(conversation) {
+  const historyLength = () => conversation.turns
+    .reduce((total, turn) => total + turn.question.length + turn.answer.length, 0);
+
+  while (
+    conversation.turns.length > HISTORY_MAX_TURNS ||
+    (conversation.turns.length > 1 && historyLength() > HISTORY_MAX_CHARS)
+  ) {
+    const oldest = conversation.turns.shift();
+    const line = `User asked: ${clipText(oldest.question, 100)} | You answered: ${clipText(oldest.answer, 140)}`;
+    const summaryLines = conversation.summary ? conversation.summary.split('\n') : [];
+    summaryLines.push(line);
+    // Drop the oldest summary lines when the summary grows too long
+    while (summaryLines.length > 1 && summaryLines.join('\n').length > HISTORY_SUMMARY_CHARS) {
+      summaryLines.shift();
+    }
+    conversation.summary = summaryLines.join('\n');
+  }
+}
+
+// Record a completed exchange
+function addConversationTurn(userId, question, answer) {
+  const conversation = getConversation(userId);
+  conversation.turns.push({ question, answer, at: new Date().toISOString() });
+  compactConversation(conversation);
+}
+
+// Clear a user's conversation history
+function clearConversation(userId) {
+  delete conversationHistory[userId];
+}
+
+// Build the context block sent to providers ahead of the new question
+function buildConversationContext(conversation) {
+  if (!conversation || (!conversation.summary && conversation.turns.length === 0)) {
+    return '';
+  }
+
+  let context = '';
+  if (conversation.summary) {
+    context += `Earlier in this conversation:\n${conversation.summary}\n\n`;
+  }
+  if (conversation.turns.length > 0) {
+    context += 'Recent conversation:\n';
+    conversation.turns.forEach(turn => {
+      context += `User: ${turn.question}\nAssistant: ${turn.answer}\n`;
+    });
+  }
+  return context.trim();
+}
+
+// Combine the conversation context with the user's new message
+function buildContextualPrompt(conversation, message) {
+  const context = buildConversationContext(conversation);
+  if (!context) return message;
+  return `${context}\n\nContinue the conversation. New message from the user:\n${message}`;
+}
+
+// ========== Markdown Formatting ==========
+/**
+ * Converts Markdown from the AI models into Telegram MarkdownV2
+ *
+ * Supported: fenced code blocks (with language tags), inline code, **bold**,
+ * *italic* / _italic_, ~~strikethrough~~, [links](https://...), headings
+ * (rendered bold), bullet and numbered lists, blockquotes and rules.
+ * Everything else is escaped as plain text. If the result would not be valid
+ * MarkdownV2, the answer falls back to fully escaped plain text.
+ */
+const MARKDOWN_SPECIAL_CHARS = '_*[]()~`>#+-=|{}.!';
+
+// Escape plain text for MarkdownV2, including backslashes
+function escapeMarkdownV2Text(text) {
+  return escapeMarkdownV2(text.replace(/\\/g, '\\\\'));
+}
+
+// Escape the contents of inline code and code blocks
+function escapeMarkdownV2Code(text) {
+  return text.replace(/([`\\])/g, '\\$1');
+}
+
+// Escape a link URL
+function escapeMarkdownV2Url(url) {
+  return url.replace(/([)\\])/g, '\\$1');
+}
+
+// Inline Markdown: code, links, bold, strikethrough, italic
+const INLINE_MARKDOWN_PATTERN = new RegExp([
+  '`([^`\\n]+)`', // 1: inline code
+  '\\[([^\\]\\n]+)\\]\\(((?:https?:\\/\\/|mailto:|tg:\\/\\/)[^()\\s]*(?:\\([^()\\s]*\\)[^()\\s]*)*)\\)', // 2, 3: link (URLs may contain balanced parentheses)
+  '\\*\\*([^\\s*](?:[^\\n]*?[^\\s*])?)\\*\\*', // 4: **bold**
+  '(?<![A-Za-z0-9_])__([^\\s_](?:[^\\n]*?[^\\s_])?)__(?![A-Za-z0-9_])', // 5: __bold__
+  '~~([^\\s~](?:[^\\n]*?[^\\s~])?)~~', // 6: ~~strikethrough~~
+  '\\*([^\\s*](?:[^*\\n]*[^\\s*])?)\\*', // 7: *italic*
+  '(?<![A-Za-z0-9_])_([^\\s_](?:[^_\\n]*[^\\s_])?)_(?![A-Za-z0-9_])' // 8: _italic_
+].join('|'), 'g');
+
+// Convert inline Markdown to MarkdownV2; nested entities of the same kind are flattened
+function renderInlineMarkdown(text, inside = {}) {
+  let output = '';
+  let lastIndex = 0;
+  const pattern = new RegExp(INLINE_MARKDOWN_PATTERN.source, 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    output += escapeMarkdownV2Text(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    const [whole, code, linkText, linkUrl, bold, boldUnderscore, strike, italic, italicUnderscore] = match;
+    const boldText = bold || boldUnderscore;
+    const italicText = italic || italicUnderscore;
+
+    if (code !== undefined) {
+      output += inside.link ? escapeMarkdownV2Text(code) : `\`${escapeMarkdownV2Code(code)}\``;
+    } else if (linkText !== undefined) {
+      output += inside.link
+        ? escapeMarkdownV2Text(linkText)
+        : `[${renderInlineMarkdown(linkText, { ...inside, link: true })}](${escapeMarkdownV2Url(linkUrl)})`;
+    } else if (boldText !== undefined) {
+      output += inside.bold
+        ? renderInlineMarkdown(boldText, inside)
+        : `*${renderInlineMarkdown(boldText, { ...inside, bold: true })}*`;
+    } else if (strike !== undefined) {
+      output += inside.strike
+        ? renderInlineMarkdown(strike, inside)
+        : `~${renderInlineMarkdown(strike, { ...inside, strike: true })}~`;
+    } else if (italicText !== undefined) {
+      output += inside.italic
+        ? renderInlineMarkdown(italicText, inside)
+        : `_${renderInlineMarkdown(italicText, { ...inside, italic: true })}_`;
+    } else {
+      output += escapeMarkdownV2Text(whole);
+    }
+  }
+  output += escapeMarkdownV2Text(text.slice(lastIndex));
+  return output;
+}
+
+// Remove inline Markdown markers, used where entities can't be nested (headings)
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/\*\*|__|~~/g, '')
+    .replace(/`([^`\n]+)`/g, '$1')
+    .replace(/\[([^\]\n]+)\]\([^)\s]+\)/g, '$1');
+}
+
+// Convert a Markdown document to MarkdownV2, line by line
+function markdownToMarkdownV2(markdown) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fence = line.match(/^\s*```\s*([\w+#.-]*)\s*$/);
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      const language = fence[1].replace(/[^\w+#-]/g, '');
+      output.push(`\`\`\`${language}\n${escapeMarkdownV2Code(codeLines.join('\n'))}\n\`\`\``);
+      continue;
+    }
+
+    const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    const numbered = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+    const quote = line.match(/^\s*>\s?(.*)$/);
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push('──────────');
+    } else if (heading) {
+      output.push(`*${escapeMarkdownV2Text(stripInlineMarkdown(heading[1]))}*`);
+    } else if (bullet) {
+      output.push(`${bullet[1]}• ${renderInlineMarkdown(bullet[2])}`);
+    } else if (numbered) {
+      output.push(`${numbered[1]}${numbered[2]}\\. ${renderInlineMarkdown(numbered[3])}`);
+    } else if (quote) {
+      output.push(`>${renderInlineMarkdown(quote[1])}`);
+    } else {
+      output.push(renderInlineMarkdown(line));
+    }
+  }
+  return output.join('\n');
+}
+
+// Check that every special character is escaped or part of a balanced entity
+function isValidMarkdownV2(text) {
+  const stack = [];
+  let inCode = null; // '`' or '```' while inside code
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (inCode) {
+      if (text.startsWith(inCode, i)) {
+        i += inCode.length - 1;
+        inCode = null;
+      }
+      continue;
+    }
+    if (text.startsWith('```', i)) {
+      inCode = '```';
+      i += 2;
+      continue;
+    }
+    if (ch === '`') {
+      inCode = '`';
+      continue;
+    }
+
+    let marker = null;
+    if (ch === '_' && text[i + 1] === '_') {
+      marker = '__';
+      i++;
+    } else if (ch === '|' && text[i + 1] === '|') {
+      marker = '||';
+      i++;
+    } else if (ch === '*' || ch === '_' || ch === '~') {
+      marker = ch;
+    }
+
+    if (marker) {
+      if (stack[stack.length - 1] === marker) {
+        stack.pop();
+      } else if (stack.includes(marker)) {
+        return false; // Entities cross each other
+      } else {
+        stack.push(marker);
+      }
+    } else if (ch === '[') {
+      stack.push('[');
+    } else if (ch === ']') {
+      if (stack.pop() !== '[' || text[i + 1] !== '(') return false;
+      const close = text.slice(i + 2).search(/(?<!\\)\)/);
+      if (close === -1) return false;
+      i += close + 2;
+    } else if (ch === '>' && (i === 0 || text[i - 1] === '\n')) {
+      continue;
+    } else if (MARKDOWN_SPECIAL_CHARS.includes(ch)) {
+      return false;
+    }
+  }
+  return stack.length === 0 && !inCode;
+}
+
+// Format an AI answer for MarkdownV2, falling back to escaped plain text when needed
+function formatAIResponse(text) {
+  try {
+    const formatted = markdownToMarkdownV2(text);
+    if (isValidMarkdownV2(formatted)) {
+      return formatted;
+    }
+    console.log('⚠️ Formatted answer is not valid MarkdownV2, sending as plain text');
+  } catch (error) {
+    console.error('❌ Markdown formatting failed:', error.message);
+  }
+  return escapeMarkdownV2Text(text);
+}
+
+// Convert MarkdownV2 back to plain text, used when Telegram rejects a message
+function markdownV2ToPlainText(text) {
+  let plain = '';
+  let inCode = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && i + 1 < text.length) {
+      plain += text[++i];
+      continue;
+    }
+    if (text.startsWith('```', i)) {
+      i += 2;
+      // Drop the language tag after an opening fence
+      const languageTag = !inCode && text.slice(i + 1).match(/^[\w+#-]*\n/);
+      if (languageTag) i += languageTag[0].length - 1;
+      inCode = !inCode;
+      continue;
+    }
+    if (ch === '`') {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      plain += ch;
+      continue;
+    }
+    if (ch === '[') {
+      const link = text.slice(i).match(/^\[((?:\\.|[^\]\\])*)\]\(((?:\\.|[^)\\])*)\)/);
+      if (link) {
+        plain += `${markdownV2ToPlainText(link[1])} (${link[2].replace(/\\(.)/g, '$1')})`;
+        i += link[0].length - 1;
+        continue;
+      }
+    }
+    if ('*_~|'.includes(ch) || (ch === '>' && (i === 0 || text[i - 1] === '\n'))) {
+      continue;
+    }
+    plain += ch;
+  }
+  return plain;
+}
+
+// ========== Long Message Handling ==========
+/**
+ * Telegram rejects messages over 4096 characters, so long replies are split:
+ *
+ * - Paragraphs are kept together where possible, then lines, then words
+ * - Fenced code blocks are closed and reopened when they have to be split
+ * - Hard cuts never separate a MarkdownV2 backslash from the character it escapes
+ * - The header goes on the first part and the footer on the last
+ * - Long AI answers can also be downloaded as a .md document (answer_document callback)
+ */
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+let longAnswers = {}; // { userId: { question, answer, role, createdAt } } latest split answer per user
+
+// Cut text into fixed-size pieces without splitting an escape sequence
+function hardSplit(text, maxLength) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxLength) {
+    let end = maxLength;
+    // Count the backslashes just before the cut; an odd number means we'd split an escape
+    let backslashes = 0;
+    while (end - backslashes - 1 >= 0 && rest[end - backslashes - 1] === '\\') backslashes++;
+    if (backslashes % 2 === 1) end--;
+    pieces.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+// Split text on the first separator that makes pieces fit, falling back to finer separators
+function splitText(text, maxLength, separators = ['\n', ' ']) {
+  if (text.length <= maxLength) return [text];
+  if (separators.length === 0) return hardSplit(text, maxLength);
+
+  const [separator, ...finer] = separators;
+  const chunks = [];
+  let current = '';
+  for (const piece of text.split(separator)) {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    if (piece.length <= maxLength) {
+      current = piece;
+    } else {
+      const pieces = splitText(piece, maxLength, finer);
+      chunks.push(...pieces.slice(0, -1));
+      current = pieces[pieces.length - 1];
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Split a fenced code block, closing and reopening the fence in every piece
+function splitCodeBlock(block, maxLength) {
+  const lines = block.split('\n');
+  const opener = lines[0]; // ``` plus optional language
+  const body = lines.slice(1).join('\n').replace(/\n?```\s*$/, '');
+  const budget = maxLength - opener.length - 5; // Room for the opener, closer and newlines
+  return splitText(body, budget, ['\n']).map(piece => `${opener}\n${piece}\n\`\`\``);
+}
+
+// Break text into paragraphs while keeping fenced code blocks intact
+function splitIntoBlocks(text) {
+  const blocks = [];
+  const codeBlockRegex = /```[\s\S]*?```/g;
+  let lastIndex = 0;
+  let match;
+  const addParagraphs = (segment) => {
+    segment.split(/\n{2,}/).map(p => p.trim()).filter(Boolean).forEach(p => blocks.push(p));
+  };
+  while ((match = codeBlockRegex.exec(text)) !== null) {
+    addParagraphs(text.slice(lastIndex, match.index));
+    blocks.push(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  addParagraphs(text.slice(lastIndex));
+  return blocks;
+}
+
+// Split MarkdownV2 text into chunks of at most maxLength characters
+function splitMarkdownV2(text, maxLength = TELEGRAM_MESSAGE_LIMIT) {
+  const chunks = [];
+  let current = '';
+  for (const block of splitIntoBlocks(text)) {
+    const candidate = current ? `${current}\n\n${block}` : block;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    if (block.length <= maxLength) {
+      current = block;
+    } else {
+      const pieces = block.startsWith('```') ? splitCodeBlock(block, maxLength) : splitText(block, maxLength);
+      chunks.push(...pieces.slice(0, -1));
+      current = pieces[pieces.length - 1];
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks.length > 0 ? chunks : [''];
+}
+
+// Build the message parts for a reply: header on the first part, footer on the last
+function buildReplyParts(header, body, footer) {
+  const budget = TELEGRAM_MESSAGE_LIMIT - header.length - footer.length - 4;
+  const parts = splitMarkdownV2(body, budget);
+  parts[0] = `${header}\n\n${parts[0]}`;
+  parts[parts.length - 1] = `${parts[parts.length - 1]}\n\n${footer}`;
+  return parts;
+}
+
+// Send MarkdownV2 parts in order, falling back to plain text for any part Telegram rejects
+// extra (e.g. reply_markup) is attached to the last part
+async function sendMarkdownV2Parts(ctx, parts, extra) {
+  for (let i = 0; i < parts.length; i++) {
+    const partExtra = i === parts.length - 1 ? extra : undefined;
+    try {
+      await ctx.replyWithMarkdownV2(parts[i], partExtra);
+    } catch (error) {
+      console.error(`❌ MarkdownV2 part ${i + 1}/${parts.length} rejected:`, error.message);
+      await ctx.reply(markdownV2ToPlainText(parts[i]), partExtra);
+    }
+  }
+}
+
+// Render a stored answer as a Markdown document
+function buildAnswerDocument(entry) {
+  return `# Cool Shot AI - ${entry.role}\n\n` +
+    `**Question:** ${entry.question}\n\n` +
+    `---\n\n` +
+    `${entry.answer}\n\n` +
+    `---\n\n` +
+    `_Generated ${new Date(entry.createdAt).toUTCString()} - Powered by Cool Shot Systems_\n`;
+}
+
+// ========== Streaming Replies ==========
+/**
+ * Progressive message edits for streaming providers
+ *
+ * - The first partial answer is sent as a plain-text placeholder message
+ * - Later chunks edit it at most once per STREAM_EDIT_INTERVAL_MS (Telegram edit limits)
+ * - finish() replaces it with the final MarkdownV2 reply (extra parts are sent after it)
+ * - If nothing was streamed, finish() sends a normal one-shot reply
+ */
+const STREAM_EDIT_INTERVAL_MS = 1500;
+const STREAM_PREVIEW_CHARS = 3500; // Partial text shown while streaming (Telegram limit is 4096)
+
+function createStreamingReply(ctx, headerText) {
+  const state = {
+    messageId: null,
+    latestText: '',
+    sentText: '',
+    nextEditAt: 0,
+    timer: null,
+    queue: Promise.resolve(),
+    finished: false
+  };
+
+  const render = (text) => {
+    const preview = text.length > STREAM_PREVIEW_CHARS ? `${text.slice(0, STREAM_PREVIEW_CHARS)}…` : text;
+    return `${headerText}\n\n${preview} ▌`;
+  };
+
+  const flush = () => {
+    state.timer = null;
+    state.queue = state.queue.then(async () => {
+      const text = state.latestText;
+      if (state.finished || text === state.sentText) return;
+      try {
+        if (!state.messageId) {
+          const message = await ctx.reply(render(text));
+          state.messageId = message.message_id;
+        } else {
+          await ctx.telegram.editMessageText(ctx.chat.id, state.messageId, undefined, render(text));
+        }
+        state.sentText = text;
+        state.nextEditAt = Date.now() + STREAM_EDIT_INTERVAL_MS;
+      } catch (error) {
+        // Respect Telegram's flood control before the next edit
+        const retryAfter = error.parameters?.retry_after;
+        state.nextEditAt = Date.now() + (retryAfter ? retryAfter * 1000 : STREAM_EDIT_INTERVAL_MS);
+        console.error('❌ Streaming edit failed:', error.message);
+      }
+    });
+  };
+
+  return {
+    // Queue the latest partial text, edits are throttled
+    update(text) {
+      if (state.finished || !text.trim()) return;
+      state.latestText = text;
+      if (state.timer) return;
+      state.timer = setTimeout(flush, Math.max(0, state.nextEditAt - Date.now()));
+    },
+    // Replace the placeholder with the final MarkdownV2 reply parts (see buildReplyParts)
+    // extra (e.g. reply_markup) is attached to the last part
+    async finish(parts, extra) {
+      state.finished = true;
+      clearTimeout(state.timer);
+      await state.queue;
+      if (!state.messageId) {
+        return sendMarkdownV2Parts(ctx, parts, extra);
+      }
+      const [first, ...rest] = parts;
+      const firstExtra = rest.length === 0 ? extra : undefined;
+      try {
+        await ctx.telegram.editMessageText(ctx.chat.id, state.messageId, undefined, first, { parse_mode: 'MarkdownV2', ...firstExtra });
+      } catch (error) {
+        console.error('❌ Final streaming edit failed:', error.message);
+        await ctx.telegram.editMessageText(ctx.chat.id, state.messageId, undefined, markdownV2ToPlainText(first), firstExtra)
+          .catch(() => sendMarkdownV2Parts(ctx, [first], firstExtra));
+      }
+      await sendMarkdownV2Parts(ctx, rest, extra);
+    }
+  };
+}
+
+// ========== Moderation ==========
+/**
+ * Bans and mutes for abusive users
+ *
+ * Both are stored on the user record as { reason, until, by, at, notified }, where until is
+ * null for a permanent restriction; expired ones are cleared the next time the user writes.
+ * - Banned users are ignored entirely and left out of broadcasts
+ * - Muted users get no AI replies, but commands, buttons and support still work
+ * Each user is told once about a ban or mute, further updates are dropped silently.
+ * Staff cannot be banned or muted, their role has to be revoked first.
+ */
+const MODERATION_DURATION_PATTERN = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/i;
+
+// Length of a duration like 30m, 2h, 7d or 1d12h in milliseconds, null when invalid
+function parseDuration(value) {
+  const [, days, hours, minutes] = value.match(MODERATION_DURATION_PATTERN) || [];
+  const ms = ((Number(days) || 0) * 24 * 60 + (Number(hours) || 0) * 60 + (Number(minutes) || 0)) * 60 * 1000;
+  return ms > 0 ? ms : null;
+}
+
+// The user's ban or mute while it lasts, null otherwise
+function getActiveRestriction(user, type) {
+  const restriction = user && user[type];
+  if (!restriction) return null;
+  return !restriction.until || new Date(restriction.until) > new Date() ? restriction : null;
+}
+
+// Check if a user is currently banned
+function isUserBanned(userId) {
+  return getActiveRestriction(users[userId.toString()], 'ban') !== null;
+}
+
+// Describe a ban or mute for staff views in the viewer's language
+function describeRestriction(restriction, viewerId) {
+  const end = restriction.until
+    ? t(viewerId, 'moderation.restriction_until', { time: formatBroadcastTime(restriction.until) })
+    : t(viewerId, 'moderation.restriction_permanent');
+  return `${end}${restriction.reason ? `: ${restriction.reason}` : ''}`;
+}
+
+// Badges for user lists, empty for users without a ban or mute
+function getModerationBadges(user) {
+  return `${getActiveRestriction(user, 'ban') ? ' 🚫' : ''}${getActiveRestriction(user, 'mute') ? ' 🔇' : ''}`;
+}
+
+// Current ban and mute of a user for /activity, in the viewer's language
+function getModerationStatus(user, viewerId) {
+  const ban = getActiveRestriction(user, 'ban');
+  const mute = getActiveRestriction(user, 'mute');
+  const parts = [];
+  if (ban) parts.push(t(viewerId, 'moderation.status_banned', { details: describeRestriction(ban, viewerId) }));
+  if (mute) parts.push(t(viewerId, 'moderation.status_muted', { details: describeRestriction(mute, viewerId) }));
+  return parts.length > 0 ? parts.join('\n') : t(viewerId, 'moderation.status_none');
+}
+
+// Ban or mute a user (type 'ban' or 'mute'), durationMs null for a permanent restriction
+// Errors are in the language of the staff member who asked
+async function restrictUser(userId, type, reason, durationMs, byUserId) {
+  const userIdStr = userId.toString();
+  if (!users[userIdStr]) {
+    return { success: false, error: t(byUserId, 'moderation.error_not_found') };
+  }
+  if (getAccessRole(userId) !== 'user') {
+    return { success: false, error: t(byUserId, 'moderation.error_staff', { role: getAccessRoleLabel(byUserId, getAccessRole(userId)) }) };
+  }
+  
+  const now = new Date();
+  users[userIdStr][type] = {
+    reason: reason || null,
+    until: durationMs ? new Date(now.getTime() + durationMs).toISOString() : null,
+    by: byUserId,
+    at: now.toISOString(),
+    notified: false
+  };
+  await saveUsers(userIdStr);
+  return { success: true, restriction: users[userIdStr][type] };
+}
+
+// Lift a user's ban or mute, returns false when there was none
+async function liftRestriction(userId, type) {
+  const userIdStr = userId.toString();
+  const user = users[userIdStr];
+  if (!getActiveRestriction(user, type)) return false;
+  user[type] = null;
+  await saveUsers(userIdStr);
+  return true;
+}
+
+// Chat messages answered by the AI providers, as opposed to commands and support messages
+function isAiChatMessage(ctx) {
+  const text = ctx.message && ctx.message.text;
+  return Boolean(text) && !text.startsWith('/') && !supportState[ctx.from.id];
+}
+
+// Tell the user about a ban or mute the first time it stops a message or button press
+async function notifyRestriction(ctx, type, restriction) {
+  const userId = ctx.from.id;
+  if (restriction.notified || !(ctx.message || ctx.callbackQuery)) {
+    return ctx.callbackQuery ? ctx.answerCbQuery() : undefined;
+  }
+  restriction.notified = true;
+  await saveUsers(userId);
+  
+  // Only bans stop button presses
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(t(userId, 'moderation.banned_toast'), { show_alert: true });
+  }
+  const duration = restriction.until
+    ? t(userId, 'moderation.until', { time: formatBroadcastTime(restriction.until) })
+    : t(userId, 'moderation.permanent');
+  const reason = restriction.reason || t(userId, 'moderation.no_reason');
+  return ctx.replyWithMarkdownV2(tmd(userId, type === 'ban' ? 'moderation.banned' : 'moderation.muted', { reason, duration }));
+}
+
+// Stop banned users, and AI chat from muted users, before anything else sees the update
+bot.use(async (ctx, next) => {
+  const user = ctx.from && users[ctx.from.id.toString()];
+  if (!user || (!user.ban && !user.mute)) return next();
+  
+  // Expired restrictions are cleared once the user writes again
+  const expired = ['ban', 'mute'].filter(type => user[type] && !getActiveRestriction(user, type));
+  if (expired.length > 0) {
+    expired.forEach(type => { user[type] = null; });
+    await saveUsers(user.id);
+  }
+  const ban = getActiveRestriction(user, 'ban');
+  if (ban) return notifyRestriction(ctx, 'ban', ban);
+  const mute = getActiveRestriction(user, 'mute');
+  if (mute && isAiChatMessage(ctx)) return notifyRestriction(ctx, 'mute', mute);
+  return next();
+});
+
+// ========== Rate Limiting ==========
+/**
+ * Per-user and global token buckets in front of every update
+ *
+ * Limits live in rate-limits.json and apply to two kinds of updates:
+ *   - ai:      plain chat messages, each of which can call several AI providers, and Chat API requests
+ *   - command: commands, buttons and inline queries (cheap, e.g. /dice)
+ * Each kind has a user bucket and one global bucket shared by everyone, described by
+ * perMinute (refill rate) and burst (bucket size). A message needs a token from both;
+ * otherwise it is dropped and the user is told once when to try again.
+ * Users with the ratelimits.exempt permission (admins) are never limited.
+ * Admins change the limits at runtime with /ratelimit, which saves them back to the file.
+ */
+const RATE_LIMITS_FILE = './rate-limits.json';
+const RATE_LIMIT_KINDS = ['ai', 'command'];
+const RATE_LIMIT_SCOPES = ['user', 'global'];
+const RATE_LIMIT_DEFAULTS = {
+  enabled: true,
+  limits: {
+    ai: { user: { perMinute: 10, burst: 5 }, global: { perMinute: 120, burst: 30 } },
+    command: { user: { perMinute: 40, burst: 15 }, global: { perMinute: 1200, burst: 200 } }
+  }
+};
+const RATE_LIMIT_PRUNE_INTERVAL_MS = 10 * 60 * 1000; // Full user buckets are dropped this often
+
+let rateLimitConfig = structuredClone(RATE_LIMIT_DEFAULTS);
+let rateLimitBuckets = {}; // { kind: { user: Map(userId -> { tokens, updatedAt }), global: { tokens, updatedAt } } }
+let rateLimitNotices = new Map(); // userId -> time until which the user was already told to slow down
+let rateLimitStats = { ai: 0, command: 0 }; // Updates dropped since startup
+let lastRateLimitPruneAt = Date.now();
+
+// Start every bucket full
+function resetRateLimitBuckets() {
+  rateLimitBuckets = Object.fromEntries(RATE_LIMIT_KINDS.map(kind => [kind, { user: new Map(), global: null }]));
+  rateLimitNotices.clear();
+}
+
+// Load limits from rate-limits.json, keeping defaults for anything missing
+async function loadRateLimits() {
+  try {
+    const config = await fs.readJson(RATE_LIMITS_FILE);
+    const limits = {};
+    for (const kind of RATE_LIMIT_KINDS) {
+      limits[kind] = {};
+      for (const scope of RATE_LIMIT_SCOPES) {
+        limits[kind][scope] = { ...RATE_LIMIT_DEFAULTS.limits[kind][scope], ...config.limits?.[kind]?.[scope] };
+      }
+    }
+    rateLimitConfig = { enabled: config.enabled !== false, limits };
+    console.log(`🚦 Rate limits ${rateLimitConfig.enabled ? 'on' : 'off'}: ${limits.ai.user.perMinute} AI messages/min per user, ${limits.ai.global.perMinute}/min overall`);
+  } catch (error) {
+    console.error('❌ Error loading rate limits, keeping the current ones:', error.message);
+  }
+  resetRateLimitBuckets();
+  return rateLimitConfig;
+}
+
+// Save the current limits back to rate-limits.json
+async function saveRateLimits() {
+  try {
+    await fs.writeJson(RATE_LIMITS_FILE, rateLimitConfig, { spaces: 2 });
+  } catch (error) {
+    console.error('❌ Error saving rate limits:', error.message);
+  }
+}
+
+// Refill a bucket for the time since its last use, returns milliseconds until it has a token
+function refillBucket(bucket, limit, now) {
+  const tokensPerMs = limit.perMinute / 60000;
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * tokensPerMs);
+  bucket.updatedAt = now;
+  return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / tokensPerMs);
+}
+
+// Take a token from the user's and the global bucket, returns { scope, waitMs } when either is empty
+function takeRateLimitToken(kind, userId, now = Date.now()) {
+  const limits = rateLimitConfig.limits[kind];
+  const buckets = rateLimitBuckets[kind];
+  if (!buckets.user.has(userId)) buckets.user.set(userId, { tokens: limits.user.burst, updatedAt: now });
+  if (!buckets.global) buckets.global = { tokens: limits.global.burst, updatedAt: now };
+  
+  const userBucket = buckets.user.get(userId);
+  const userWait = refillBucket(userBucket, limits.user, now);
+  if (userWait > 0) return { scope: 'user', waitMs: userWait };
+  const globalWait = refillBucket(buckets.global, limits.global, now);
+  if (globalWait > 0) return { scope: 'global', waitMs: globalWait };
+  
+  userBucket.tokens -= 1;
+  buckets.global.tokens -= 1;
+  return null;
+}
+
+// Drop user buckets that have refilled completely, they are the same as new ones
+function pruneRateLimitBuckets(now = Date.now()) {
+  lastRateLimitPruneAt = now;
+  for (const kind of RATE_LIMIT_KINDS) {
+    const limit = rateLimitConfig.limits[kind].user;
+    for (const [userId, bucket] of rateLimitBuckets[kind].user) {
+      if (now - bucket.updatedAt >= limit.burst / limit.perMinute * 60000) rateLimitBuckets[kind].user.delete(userId);
+    }
+  }
+  for (const [userId, until] of rateLimitNotices) {
+    if (until <= now) rateLimitNotices.delete(userId);
+  }
+}
+
+// Which bucket an update draws from, null for updates that are not limited
+function getRateLimitKind(ctx) {
+  if (ctx.callbackQuery || ctx.inlineQuery) return 'command';
+  if (!ctx.message || !ctx.message.text) return null;
+  return isAiChatMessage(ctx) ? 'ai' : 'command';
+}
+
+resetRateLimitBuckets();
+
+// Drop updates over the limit before any other middleware or handler runs
+bot.use(async (ctx, next) => {
+  const kind = rateLimitConfig.enabled && ctx.from ? getRateLimitKind(ctx) : null;
+  if (!kind || hasPermission(ctx.from.id, 'ratelimits.exempt')) return next();
+  
+  const now = Date.now();
+  if (now - lastRateLimitPruneAt >= RATE_LIMIT_PRUNE_INTERVAL_MS) pruneRateLimitBuckets(now);
+  const limited = takeRateLimitToken(kind, ctx.from.id, now);
+  if (!limited) return next();
+  
+  rateLimitStats[kind]++;
+  const seconds = Math.ceil(limited.waitMs / 1000);
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(t(ctx.from.id, 'ratelimit.slow_down_toast', { seconds }));
+  }
+  // Tell the user once per wait, further messages in that window are dropped silently
+  if (!ctx.message || (rateLimitNotices.get(ctx.from.id) || 0) > now) return;
+  rateLimitNotices.set(ctx.from.id, now + limited.waitMs);
+  const key = limited.scope === 'global' ? 'ratelimit.busy' : 'ratelimit.slow_down';
+  return ctx.replyWithMarkdownV2(tmd(ctx.from.id, key, { seconds }));
+});
+
+// Build the /ratelimit overview of the limits and how often they were hit, in the viewer's language
+function buildRateLimitView(viewerId) {
+  const state = t(viewerId, rateLimitConfig.enabled ? 'ratelimit.state_on' : 'ratelimit.state_off');
+  let text = `${t(viewerId, 'ratelimit.view_title', { state })}\n\n`;
+  for (const kind of RATE_LIMIT_KINDS) {
+    const { user, global } = rateLimitConfig.limits[kind];
+    text += `${t(viewerId, `ratelimit.kind_${kind}`)}\n`;
+    text += `   ${t(viewerId, 'ratelimit.view_user', user)}\n`;
+    text += `   ${t(viewerId, 'ratelimit.view_global', global)}\n`;
+    text += `   ${t(viewerId, 'ratelimit.view_dropped', { count: rateLimitStats[kind] })}\n\n`;
+  }
+  text += `${t(viewerId, 'ratelimit.view_buckets', { ai: rateLimitBuckets.ai.user.size, command: rateLimitBuckets.command.user.size })}\n`;
+  text += `${t(viewerId, 'ratelimit.view_exempt')}\n\n`;
+  text += t(viewerId, 'ratelimit.view_hints');
+  return text;
+}
+
+// ========== Permission Middleware ==========
+/**
+ * Permission Matrix
+ * 
+ * Commands and callback buttons that need a permission are listed here and checked by a
+ * single middleware before any handler runs; anything not listed is open to every user.
+ * Commands with actions (e.g. /providers reload) may need a different permission per action,
+ * and callback entries ending in * cover every callback starting with that prefix.
+ */
+
+const COMMAND_PERMISSIONS = {
+  admin: 'panel.view',
+  activity: 'stats.view',
+  commands: 'stats.view',
+  topusers: 'stats.view',
+  analytics: 'analytics.view',
+  broadcast: 'broadcast.send',
+  broadcasts: 'broadcast.send',
+  apistatus: 'providers.view',
+  providers: {
+    permission: 'providers.view',
+    actions: { enable: 'providers.manage', disable: 'providers.manage', priority: 'providers.manage', mode: 'providers.manage', reload: 'providers.manage' }
+  },
+  brandrules: { permission: 'brandrules.view', actions: { reload: 'brandrules.manage' } },
+  translations: 'translations.view',
+  ratelimit: 'ratelimits.manage',
+  auditlog: { permission: 'audit.view', actions: { export: 'audit.export' } },
+  apikey: 'apikeys.manage',
+  tickets: 'support.handle',
+  reply: 'support.handle',
+  users: 'users.view',
+  note: 'users.notes',
+  ban: 'users.moderate',
+  unban: 'users.moderate',
+  mute: 'users.moderate',
+  unmute: 'users.moderate',
+  grant: 'roles.manage',
+  revoke: 'roles.manage',
+  promote: 'roles.manage',
+  demote: 'roles.manage'
+};
+
+const CALLBACK_PERMISSIONS = {
+  show_admin: 'panel.view',
+  admin_stats: 'stats.view',
+  admin_commands: 'stats.view',
+  admin_topusers: 'stats.view',
+  admin_broadcast: 'broadcast.send',
+  'broadcast_*': 'broadcast.send',
+  admin_support: 'support.handle',
+  'tickets_*': 'support.handle',
+  'ticket_*': 'support.handle',
+  admin_api_status: 'providers.view',
+  admin_api_probe: 'providers.view',
+  admin_users: 'users.view',
+  admin_analytics: 'analytics.view',
+  'analytics_*': 'analytics.view'
+};
+
+// Admin panel buttons in display order, each shown only to users allowed to open it
+const ADMIN_PANEL_BUTTONS = [
+  ['admin.button_stats', 'admin_stats'],
+  ['admin.button_broadcast', 'admin_broadcast'],
+  ['admin.button_support', 'admin_support'],
+  ['admin.button_commands', 'admin_commands'],
+  ['admin.button_topusers', 'admin_topusers'],
+  ['admin.button_api_status', 'admin_api_status'],
+  ['admin.button_users', 'admin_users'],
+  ['admin.button_analytics', 'admin_analytics']
+];
+
+// Permission needed for a command and its first argument, null when open to everyone
+function getCommandPermission(command, action) {
+  const entry = COMMAND_PERMISSIONS[command];
+  if (!entry || typeof entry === 'string') return entry || null;
+  return (entry.actions && entry.actions[action]) || entry.permission;
+}
+
+// Permission needed for a callback button, null when open to everyone
+function getCallbackPermission(data) {
+  if (CALLBACK_PERMISSIONS[data]) return CALLBACK_PERMISSIONS[data];
+  const prefix = Object.keys(CALLBACK_PERMISSIONS).find(key => key.endsWith('*') && data.startsWith(key.slice(0, -1)));
+  return prefix ? CALLBACK_PERMISSIONS[prefix] : null;
+}
+
+// Check if no grantable role has a permission, so only the owner holds it
+function isOwnerOnlyPermission(permission) {
+  return GRANTABLE_ROLES.every(role => !ACCESS_ROLES[role].permissions.includes(permission));
+}
+
+// Build the admin panel keyboard for a user's permissions
+function buildAdminPanelKeyboard(userId) {
+  return ADMIN_PANEL_BUTTONS
+    .filter(([, data]) => hasPermission(userId, getCallbackPermission(data)))
+    .map(([key, data]) => [{ text: t(userId, key), callback_data: data }]);
+}
+
+// Check every command and callback button against the permission matrix
+bot.use(async (ctx, next) => {
+  let permission = null;
+  const text = ctx.message && ctx.message.text;
+  if (text && text.startsWith('/')) {
+    const [, command, action] = text.match(/^\/(\w+)(?:@\w+)?(?:\s+(\S+))?/) || [];
+    if (command) permission = getCommandPermission(command.toLowerCase(), action);
+  } else if (ctx.callbackQuery && ctx.callbackQuery.data) {
+    permission = getCallbackPermission(ctx.callbackQuery.data);
+  }
+  if (!permission || !ctx.from) return next();
+  
+  // ADMIN_USERNAMES entries only resolve once the user is seen
+  await updateUserInfo(ctx);
+  if (hasPermission(ctx.from.id, permission)) return next();
+  
+  const ownerOnly = isOwnerOnlyPermission(permission);
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(t(ctx.from.id, ownerOnly ? 'admin.owner_only' : 'common.access_denied'), { show_alert: true });
+  }
+  return ownerOnly ? ctx.reply(t(ctx.from.id, 'admin.owner_only')) : ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'admin.denied'));
+});
+
+// ========== Support Tickets ==========
+/**
+ * Support Tickets
+ * 
+ * /support <message> and the "Get Support" button open a ticket with a numeric ID.
+ * A ticket is open while it waits for staff, pending once staff replied with
+ * /reply <ticket> <text>, and closed from the ticket view. Users follow their tickets
+ * with /mytickets and answer with the reply button, which reopens the ticket.
+ * New tickets are sent to every user with the support.handle permission; once a ticket
+ * is assigned, the user's follow-ups only go to the assignee.
+ */
+const TICKET_STATUSES = { open: '🟢', pending: '🟡', closed: '⚪' };
+const TICKET_LIST_LIMIT = 10; // Tickets per list, newest activity first
+const TICKET_VIEW_MESSAGES = 5; // Latest messages shown in the ticket view
+const TICKET_PREVIEW_LENGTH = 60;
+
+let tickets = {}; // { ticketId: { id, userId, status, assignedTo, messages: [{ from, senderId, text, at }], createdAt, updatedAt } }
+let supportState = {}; // { userId: true while writing a new ticket, or the ticket ID being answered }
+
+// Load tickets from storage
+async function loadTickets() {
+  try {
+    const stored = await storage.loadTickets();
+    if (stored) {
+      tickets = stored;
+      console.log(`🎫 Loaded ${Object.keys(tickets).length} support tickets`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading tickets:', error.message);
+  }
+}
+
+// Save tickets to storage, only the given ticket when an ID is passed
+async function saveTickets(ticketId) {
+  try {
+    await storage.saveTickets(tickets, ticketId === undefined ? undefined : ticketId.toString());
+  } catch (error) {
+    console.error('❌ Error saving tickets:', error.message);
+  }
+}
+
+// Shorten a message for ticket lists
+function getTicketPreview(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > TICKET_PREVIEW_LENGTH ? `${line.slice(0, TICKET_PREVIEW_LENGTH - 1)}…` : line;
+}
+
+// Display name of a user record for ticket views, in viewerId's language when the user has no name
+function getTicketUserName(userId, viewerId) {
+  const user = users[userId.toString()];
+  if (!user) return `ID ${userId}`;
+  return `${user.firstName || t(viewerId, 'common.unknown_user')}${user.username ? ` (@${user.username})` : ''}`;
+}
+
+// Add a message to a ticket: users reopen it, staff replies leave it pending
+async function addTicketMessage(ticket, from, senderId, text) {
+  const now = new Date().toISOString();
+  ticket.messages.push({ from, senderId, text, at: now });
+  ticket.status = from === 'user' ? 'open' : 'pending';
+  ticket.updatedAt = now;
+  await saveTickets(ticket.id);
+}
+
+// Open a ticket for a user's first message
+async function createTicket(userId, text) {
+  const id = Object.keys(tickets).reduce((max, ticketId) => Math.max(max, Number(ticketId)), 0) + 1;
+  const now = new Date().toISOString();
+  const ticket = { id, userId, status: 'open', assignedTo: null, messages: [], createdAt: now, updatedAt: now };
+  tickets[id] = ticket;
+  await addTicketMessage(ticket, 'user', userId, text);
+  return ticket;
+}
+
+// Change a ticket's status or assignee
+async function updateTicket(ticket, changes) {
+  Object.assign(ticket, changes, { updatedAt: new Date().toISOString() });
+  await saveTickets(ticket.id);
+}
+
+// A user's tickets, newest activity first
+function getUserTickets(userId) {
+  return Object.values(tickets)
+    .filter(ticket => String(ticket.userId) === String(userId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Send a user's ticket message to support staff, only the assignee once the ticket is assigned
+async function notifySupportStaff(ticket, from, text) {
+  const recipients = ticket.assignedTo ? [ticket.assignedTo] : getUserIdsWithPermission('support.handle');
+  const key = ticket.messages.length > 1 ? 'support.admin_followup' : 'support.admin_notification';
+  for (const staffId of recipients) {
+    try {
+      await bot.telegram.sendMessage(
+        staffId,
+        tmd(staffId, key, {
+          ticket: ticket.id,
+          name: from.first_name || t(staffId, 'common.unknown_user'),
+          username: from.username ? `@${from.username}` : t(staffId, 'common.no_username'),
+          userId: from.id,
+          message: text
+        }),
+        {
+          parse_mode: 'MarkdownV2',
+          reply_markup: { inline_keyboard: [[{ text: t(staffId, 'support.button_view'), callback_data: `ticket_view_${ticket.id}` }]] }
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Error notifying ${staffId} of ticket #${ticket.id}:`, error.message);
+    }
+  }
+}
+
+// Build the staff ticket list in the viewer's language, active (open and pending) tickets unless a status is given
+function buildTicketListView(viewerId, status) {
+  const matching = Object.values(tickets)
+    .filter(ticket => status ? ticket.status === status : ticket.status !== 'closed')
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  const shown = matching.slice(0, TICKET_LIST_LIMIT);
+  
+  const scope = status ? t(viewerId, `tickets.status_${status}`) : t(viewerId, 'tickets.scope_active');
+  let text = `${t(viewerId, 'tickets.list_title', { scope, count: matching.length })}\n\n`;
+  shown.forEach(ticket => {
+    const assignee = ticket.assignedTo
+      ? `🙋 ${getTicketUserName(ticket.assignedTo, viewerId)}`
+      : t(viewerId, 'tickets.unassigned');
+    const lastMessage = ticket.messages[ticket.messages.length - 1];
+    text += `${t(viewerId, 'tickets.list_line', {
+      id: ticket.id,
+      emoji: TICKET_STATUSES[ticket.status],
+      status: t(viewerId, `tickets.status_${ticket.status}`),
+      user: getTicketUserName(ticket.userId, viewerId),
+      assignee
+    })}\n`;
+    text += `   "${getTicketPreview(lastMessage.text)}"\n`;
+  });
+  if (matching.length === 0) {
+    text += `${t(viewerId, 'tickets.list_empty')}\n`;
+  } else if (matching.length > shown.length) {
+    text += `${t(viewerId, 'tickets.list_more', { count: matching.length - shown.length })}\n`;
+  }
+  text += `\n${t(viewerId, 'tickets.list_hint')}`;
+  
+  const keyboard = chunkArray(shown.map(ticket => ({
+    text: `${TICKET_STATUSES[ticket.status]} #${ticket.id}`,
+    callback_data: `ticket_view_${ticket.id}`
+  })), 5);
+  keyboard.push([
+    { text: t(viewerId, 'tickets.button_active'), callback_data: 'tickets_active' },
+    ...Object.entries(TICKET_STATUSES).map(([name, emoji]) => ({ text: `${emoji} ${t(viewerId, `tickets.filter_${name}`)}`, callback_data: `tickets_${name}` }))
+  ]);
+  return { text, keyboard };
+}
+
+// Build the staff view of one ticket in the viewer's language with its latest messages and actions
+function buildTicketView(ticket, viewerId) {
+  let text = `${t(viewerId, 'tickets.view_title', { id: ticket.id, emoji: TICKET_STATUSES[ticket.status], status: t(viewerId, `tickets.status_${ticket.status}`) })}\n\n`;
+  text += `${t(viewerId, 'tickets.view_details', {
+    user: getTicketUserName(ticket.userId, viewerId),
+    id: ticket.userId,
+    assignee: ticket.assignedTo ? getTicketUserName(ticket.assignedTo, viewerId) : t(viewerId, 'tickets.view_unassigned'),
+    opened: new Date(ticket.createdAt).toLocaleString(),
+    updated: new Date(ticket.updatedAt).toLocaleString()
+  })}\n\n`;
+  
+  const recent = ticket.messages.slice(-TICKET_VIEW_MESSAGES);
+  text += `${t(viewerId, 'tickets.view_conversation', { shown: recent.length, total: ticket.messages.length })}\n`;
+  recent.forEach(message => {
+    const badge = message.from === 'user' ? '👤' : '🛡️';
+    text += `\n${badge} ${getTicketUserName(message.senderId, viewerId)}, ${new Date(message.at).toLocaleString()}:\n${message.text.slice(0, 500)}\n`;
+  });
+  text += `\n${t(viewerId, 'tickets.view_reply_hint', { id: ticket.id })}`;
+  
+  const actions = [];
+  if (String(ticket.assignedTo) !== String(viewerId)) {
+    actions.push({ text: t(viewerId, 'tickets.button_assign'), callback_data: `ticket_assign_${ticket.id}` });
+  }
+  actions.push(ticket.status === 'closed'
+    ? { text: t(viewerId, 'tickets.button_reopen'), callback_data: `ticket_reopen_${ticket.id}` }
+    : { text: t(viewerId, 'tickets.button_close'), callback_data: `ticket_close_${ticket.id}` });
+  return { text, keyboard: [actions, [{ text: t(viewerId, 'tickets.button_all'), callback_data: 'tickets_active' }]] };
+}
+
+// Build a user's /mytickets list with a reply button for every ticket still open
+function buildMyTicketsView(userId) {
+  const userTickets = getUserTickets(userId).slice(0, TICKET_LIST_LIMIT);
+  if (userTickets.length === 0) {
+    return { text: tmd(userId, 'mytickets.empty'), keyboard: [] };
+  }
+  
+  let text = tmd(userId, 'mytickets.header') + '\n\n';
+  userTickets.forEach(ticket => {
+    const lastMessage = ticket.messages[ticket.messages.length - 1];
+    const status = t(userId, `support.status_${ticket.status}`);
+    text += escapeMarkdownV2(`${TICKET_STATUSES[ticket.status]} #${ticket.id} · ${status} · ${new Date(ticket.updatedAt).toLocaleDateString()}`) + '\n';
+    text += `_${escapeMarkdownV2(getTicketPreview(lastMessage.text))}_\n\n`;
+  });
+  
+  const keyboard = chunkArray(userTickets
+    .filter(ticket => ticket.status !== 'closed')
+    .map(ticket => ({ text: t(userId, 'support.reply_button', { ticket: ticket.id }), callback_data: `support_reply_${ticket.id}` })), 3);
+  return { text: text.trimEnd(), keyboard };
+}
+
+// ========== Broadcast Jobs ==========
+/**
+ * Broadcast Jobs
+ * 
+ * /broadcast [options] <message> creates a draft and shows the admin a preview with
+ * Send/Schedule and Discard buttons. Options come before the message:
+ *   at:2026-10-20T18:00 or at:18:00 (UTC), in:2h / in:1d / in:1h30m - send later
+ *   lang:fr,es, role:Doctor (underscores for spaces), active:7 (days), audience:admins
+ *   (or to:admins), note:vip - audience
+ * Replying to a photo or document with /broadcast sends it with the message as caption.
+ * 
+ * Confirmed jobs are scheduled or queued; the scheduler queues due jobs and the worker runs
+ * queued jobs one at a time at BROADCAST_RATE_LIMIT messages per second (Telegram allows about 30).
+ * - Recipients are picked from the audience when the job is queued, not when it is drafted
+ * - A 429 answer is retried after Telegram's retry_after, up to BROADCAST_MAX_RETRIES times
+ * - Users who blocked the bot (403) are marked inactive and left out of later broadcasts
+ *   until they write to the bot again
+ * - The sending admin gets a progress message with a cancel button, then a
+ *   delivered/failed summary; /broadcasts lists scheduled and recent jobs
+ * - A job that throws is marked failed and the worker moves on to the next one
+ * - Jobs are saved with their schedule and position through the storage backend, so
+ *   schedules survive restarts and unfinished broadcasts resume
+ */
+const BROADCAST_RATE_LIMIT = Number(process.env.BROADCAST_RATE_LIMIT) || 25; // Messages per second
+const BROADCAST_MAX_RETRIES = 3;
+const BROADCAST_PROGRESS_INTERVAL_MS = 5000; // How often the progress message and job position are updated
+const BROADCAST_SCHEDULE_CHECK_MS = 30 * 1000;
+const BROADCAST_CAPTION_LIMIT = 900; // Telegram captions stop at 1024 characters, the header needs the rest
+const BROADCAST_LIST_LIMIT = 10;
+const BROADCAST_STATUSES = { draft: '📝', scheduled: '🗓️', queued: '⏳', running: '📤', done: '✅', cancelled: '🛑', discarded: '✖️', failed: '❌' };
+
+let broadcastJobs = {}; // { jobId: { id, adminId, adminName, message, media, audience, sendAt, recipients, position, delivered, failed, blocked, status, previewMessageId, progressMessageId, createdAt, startedAt, finishedAt } }
+let broadcastWorker = null; // Promise of the running queue, null while idle
+let broadcastScheduler = null;
+
+// Wait before the next message
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Save broadcast jobs to storage, only the given job when an ID is passed
+async function saveBroadcastJobs(jobId) {
+  try {
+    await storage.saveBroadcasts(broadcastJobs, jobId === undefined ? undefined : jobId.toString());
+  } catch (error) {
+    console.error('❌ Error saving broadcast jobs:', error.message);
+  }
+}
+
+// Load broadcast jobs from storage and resume the unfinished ones
+async function loadBroadcastJobs() {
+  try {
+    const stored = await storage.loadBroadcasts();
+    if (stored) broadcastJobs = stored;
+  } catch (error) {
+    console.error('❌ Error loading broadcast jobs:', error.message);
+  }
+  const unfinished = Object.values(broadcastJobs).filter(job => job.status === 'queued' || job.status === 'running');
+  if (unfinished.length > 0) {
+    console.log(`📢 Resuming ${unfinished.length} unfinished broadcasts`);
+    startBroadcastWorker();
+  }
+}
+
+// Mark a user who blocked the bot so broadcasts skip them
+async function markUserInactive(userId) {
+  const user = users[userId.toString()];
+  if (!user || user.inactive) return;
+  user.inactive = true;
+  await saveUsers(userId.toString());
+}
 
-// Google Gemini API Configuration
-let geminiAI = null;
-try {
-  if (process.env.GOOGLE_API_KEY) {
-    geminiAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-    console.log('🤖 Google Gemini API initialized as fallback');
+// Parse the schedule of at:/in: options, returns a Date or an error message in the viewer's language
+function parseBroadcastTime(name, value, viewerId, now = new Date()) {
+  if (name === 'in') {
+    const ms = parseDuration(value);
+    return ms ? new Date(now.getTime() + ms) : t(viewerId, 'broadcast.error_delay', { value });
   }
-} catch (error) {
-  console.log('⚠️ Google Gemini API not available:', error.message);
+  
+  // A bare time is its next occurrence, dates without an offset are UTC
+  const time = value.match(/^(\d{1,2}):(\d{2})$/);
+  let date;
+  if (time) {
+    if (Number(time[1]) > 23 || Number(time[2]) > 59) return t(viewerId, 'broadcast.error_time', { value });
+    date = new Date(now);
+    date.setUTCHours(Number(time[1]), Number(time[2]), 0, 0);
+    if (date <= now) date.setUTCDate(date.getUTCDate() + 1);
+  } else {
+    date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value}Z`);
+  }
+  if (isNaN(date)) return t(viewerId, 'broadcast.error_time', { value });
+  if (date <= now) return t(viewerId, 'broadcast.error_past', { time: formatBroadcastTime(date) });
+  return date;
 }
 
-// Google Gemini API fallback function
-async function callGeminiAPI(prompt, role, lang) {
-  if (!geminiAI) {
-    throw new Error('Google Gemini API not configured');
+// Split /broadcast text into leading name:value options and the message, returns { audience, sendAt, message } or { error }
+function parseBroadcastCommand(text, viewerId) {
+  const audience = {};
+  let sendAt = null;
+  let rest = text.replace(/^\/broadcast(@\w+)?/, '').trimStart();
+  
+  let token;
+  while ((token = rest.match(/^(\S+)(\s+|$)/))) {
+    const [, name, value] = token[1].match(/^(at|in|lang|role|active|note|audience|to):(.+)$/i) || [];
+    // The message starts at the first word that is not an option
+    if (!name) break;
+    const option = name.toLowerCase();
+    if (option === 'at' || option === 'in') {
+      const date = parseBroadcastTime(option, value, viewerId);
+      if (typeof date === 'string') return { error: date };
+      sendAt = date.toISOString();
+    } else if (option === 'lang') {
+      const languages = value.toLowerCase().split(',');
+      const unknown = languages.find(code => !translations[code]);
+      if (unknown) return { error: t(viewerId, 'broadcast.error_language', { code: unknown, available: Object.keys(translations).join(', ') }) };
+      audience.languages = languages;
+    } else if (option === 'role') {
+      const wanted = value.replace(/_/g, ' ').toLowerCase();
+      const role = Object.keys(roleDefinitions).find(roleName => roleName.toLowerCase() === wanted);
+      if (!role) return { error: t(viewerId, 'broadcast.error_role', { value }) };
+      audience.role = role;
+    } else if (option === 'active') {
+      const days = parseInt(value, 10);
+      if (!(days > 0)) return { error: t(viewerId, 'broadcast.error_active', { value }) };
+      audience.activeDays = days;
+    } else if (option === 'note') {
+      audience.note = value.replace(/_/g, ' ').toLowerCase();
+    } else {
+      // audience:admins and to:admins, spelled out so a message starting with "Admins" is not taken as a filter
+      if (value.toLowerCase() !== 'admins') return { error: t(viewerId, 'broadcast.error_audience', { value }) };
+      audience.admins = true;
+    }
+    rest = rest.slice(token[0].length);
   }
+  return { audience, sendAt, message: rest.trim() };
+}
+
+// Users a broadcast reaches: active, unbanned users matching every audience filter
+function getBroadcastRecipients(audience) {
+  const now = Date.now();
+  return [...USER_IDS].filter(userId => {
+    const user = users[userId.toString()];
+    if (user?.inactive || isUserBanned(userId)) return false;
+    if (audience.languages && !audience.languages.includes(getUserLanguage(userId))) return false;
+    if (audience.role && getUserRoleLabel(userId) !== audience.role) return false;
+    if (audience.activeDays && (!user || now - new Date(user.lastSeen) > audience.activeDays * DAY_MS)) return false;
+    if (audience.admins && !isAdmin(userId)) return false;
+    if (audience.note && !(user?.notes || '').toLowerCase().includes(audience.note)) return false;
+    return true;
+  });
+}
+
+// Describe an audience for previews and lists in the viewer's language (English for the audit log)
+function describeBroadcastAudience(audience, viewerId) {
+  const filters = [];
+  if (audience.languages) filters.push(t(viewerId, 'broadcast.audience_language', { languages: audience.languages.join('/') }));
+  if (audience.role) filters.push(t(viewerId, 'broadcast.audience_role', { role: audience.role }));
+  if (audience.activeDays) filters.push(t(viewerId, 'broadcast.audience_active', { days: audience.activeDays }));
+  if (audience.admins) filters.push(t(viewerId, 'broadcast.audience_admins'));
+  if (audience.note) filters.push(t(viewerId, 'broadcast.audience_note', { note: audience.note }));
+  return filters.length > 0 ? filters.join(', ') : t(viewerId, 'broadcast.audience_everyone');
+}
+
+// Format a schedule time, always in UTC
+function formatBroadcastTime(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Create a draft from a /broadcast message, returns the job or an error message
+async function createBroadcastJob(ctx) {
+  const parsed = parseBroadcastCommand(ctx.message.text, ctx.from.id);
+  if (parsed.error) return parsed.error;
   
-  try {
-    const model = geminiAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    // Create a comprehensive prompt that maintains Cool Shot AI identity
-    const systemPrompt = `You are Cool Shot AI, an intelligent assistant developed by Cool Shot Systems. 
-You are currently operating in ${role} mode. Respond in a helpful, professional manner.
-Your name is Cool Shot AI and you were created by Cool Shot Systems.
-Never mention Google, Gemini, or any other AI provider names.
-Always maintain the Cool Shot AI identity and branding.
+  // Replying to a photo or document attaches it, its caption is the default message
+  const original = ctx.message.reply_to_message;
+  let media = null;
+  if (original?.photo) media = { type: 'photo', fileId: original.photo[original.photo.length - 1].file_id };
+  else if (original?.document) media = { type: 'document', fileId: original.document.file_id };
+  const message = parsed.message || (media && original.caption) || '';
+  if (!message && !media) return t(ctx.from.id, 'broadcast.usage');
+  if (media && message.length > BROADCAST_CAPTION_LIMIT) {
+    return t(ctx.from.id, 'broadcast.error_caption', { limit: BROADCAST_CAPTION_LIMIT, length: message.length });
+  }
+  
+  const id = Object.keys(broadcastJobs).reduce((max, jobId) => Math.max(max, Number(jobId)), 0) + 1;
+  const job = {
+    id,
+    adminId: ctx.from.id,
+    adminName: ctx.from.first_name || 'Admin',
+    message,
+    media,
+    audience: parsed.audience,
+    sendAt: parsed.sendAt,
+    recipients: [],
+    position: 0,
+    delivered: 0,
+    failed: 0,
+    blocked: 0,
+    status: 'draft',
+    previewMessageId: null,
+    progressMessageId: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  broadcastJobs[id] = job;
+  await saveBroadcastJobs(id);
+  return job;
+}
 
-User Query: ${prompt}`;
-    
-    const result = await model.generateContent(systemPrompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    if (text && text.trim()) {
-      return {
-        result: text
-          .replace(/Google|Gemini|Bard|I'm an AI assistant|I'm a large language model/gi, "I'm Cool Shot AI")
-          .replace(/I was (created|developed|made|built) by Google/gi, "I was created by Cool Shot Systems")
-          .replace(/Google AI|Google's AI|Gemini AI/gi, "Cool Shot AI")
-          .replace(/I'm here to help/gi, "I'm Cool Shot AI, here to help")
-          .trim()
-      };
+// Send a broadcast as its recipients see it, with the attachment when there is one
+async function sendBroadcastMessage(job, chatId) {
+  const text = job.message
+    ? tmd(chatId, 'broadcast.message', { name: job.adminName, message: job.message })
+    : tmd(chatId, 'broadcast.media_caption', { name: job.adminName });
+  if (!job.media) {
+    return bot.telegram.sendMessage(chatId, text, { parse_mode: 'MarkdownV2' });
+  }
+  const send = job.media.type === 'photo' ? 'sendPhoto' : 'sendDocument';
+  return bot.telegram[send](chatId, job.media.fileId, { caption: text, parse_mode: 'MarkdownV2' });
+}
+
+// Send one broadcast message, returns 'delivered', 'blocked' or 'failed'
+async function deliverBroadcast(job, userId) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await sendBroadcastMessage(job, userId);
+      return 'delivered';
+    } catch (error) {
+      const retryAfter = error.parameters?.retry_after;
+      if (error.code === 429 && retryAfter && attempt < BROADCAST_MAX_RETRIES) {
+        await delay(retryAfter * 1000);
+        continue;
+      }
+      if (error.code === 403) {
+        await markUserInactive(userId);
+        return 'blocked';
+      }
+      console.error(`❌ Broadcast #${job.id} to ${userId} failed:`, error.message);
+      return 'failed';
     }
-    throw new Error('Empty response from Gemini');
+  }
+}
+
+// Build the draft or schedule summary shown under the preview, in the sending admin's language
+function buildBroadcastPreview(job) {
+  const viewerId = job.adminId;
+  let text = `${t(viewerId, 'broadcast.preview_title', { id: job.id, emoji: BROADCAST_STATUSES[job.status], status: t(viewerId, `broadcast.status_${job.status}`) })}\n\n`;
+  text += `${t(viewerId, 'broadcast.preview_audience', {
+    audience: describeBroadcastAudience(job.audience, viewerId),
+    count: getBroadcastRecipients(job.audience).length
+  })}\n`;
+  text += `${job.sendAt
+    ? t(viewerId, 'broadcast.preview_sends', { time: formatBroadcastTime(job.sendAt) })
+    : t(viewerId, 'broadcast.preview_sends_now')}\n`;
+  if (job.media) text += `${t(viewerId, 'broadcast.preview_attachment', { type: job.media.type })}\n`;
+  
+  let keyboard = [];
+  if (job.status === 'draft') {
+    text += `\n${t(viewerId, 'broadcast.preview_draft_hint')}`;
+    keyboard = [[
+      { text: t(viewerId, job.sendAt ? 'broadcast.button_schedule' : 'broadcast.button_send_now'), callback_data: `broadcast_confirm_${job.id}` },
+      { text: t(viewerId, 'broadcast.button_discard'), callback_data: `broadcast_cancel_${job.id}` }
+    ]];
+  } else if (job.status === 'scheduled') {
+    text += `\n${t(viewerId, 'broadcast.preview_scheduled_hint')}`;
+    keyboard = [[{ text: t(viewerId, 'broadcast.button_cancel_schedule'), callback_data: `broadcast_cancel_${job.id}` }]];
+  }
+  return { text, keyboard };
+}
+
+// Build the admin's progress message, with a cancel button while the job can still be stopped
+function buildBroadcastProgress(job) {
+  const total = job.recipients.length;
+  const text = tmd(job.adminId, 'broadcast.progress', {
+    id: job.id,
+    sent: job.position,
+    total,
+    percent: total > 0 ? Math.round(job.position / total * 100) : 100,
+    delivered: job.delivered,
+    failed: job.failed,
+    blocked: job.blocked
+  });
+  const active = job.status === 'queued' || job.status === 'running';
+  const keyboard = active
+    ? [[{ text: t(job.adminId, 'broadcast.button_cancel'), callback_data: `broadcast_cancel_${job.id}` }]]
+    : [];
+  return { text, keyboard };
+}
+
+// Refresh the progress message, sending it first when the job has none yet
+async function updateBroadcastProgress(job) {
+  const progress = buildBroadcastProgress(job);
+  const extra = { parse_mode: 'MarkdownV2', reply_markup: { inline_keyboard: progress.keyboard } };
+  if (job.progressMessageId) {
+    await bot.telegram.editMessageText(job.adminId, job.progressMessageId, undefined, progress.text, extra)
+      .catch(ignoreUnmodifiedEdit);
+    return;
+  }
+  try {
+    const message = await bot.telegram.sendMessage(job.adminId, progress.text, extra);
+    job.progressMessageId = message.message_id;
   } catch (error) {
-    console.error('❌ Google Gemini API Error:', error.message);
-    throw error;
+    console.error(`❌ Error sending broadcast #${job.id} progress:`, error.message);
+  }
+}
+
+// Pick the recipients and hand a job to the worker
+async function queueBroadcastJob(job) {
+  job.recipients = getBroadcastRecipients(job.audience);
+  job.status = 'queued';
+  await updateBroadcastProgress(job);
+  await saveBroadcastJobs(job.id);
+  startBroadcastWorker();
+}
+
+// Confirm a draft: schedule it for later or queue it now
+async function confirmBroadcastJob(job) {
+  if (job.sendAt && new Date(job.sendAt) > new Date()) {
+    job.status = 'scheduled';
+    await saveBroadcastJobs(job.id);
+    return;
+  }
+  // Sending now turns the preview into the progress message
+  job.progressMessageId = job.previewMessageId;
+  await queueBroadcastJob(job);
+}
+
+// Queue scheduled jobs whose time has come
+async function queueDueBroadcasts() {
+  const now = new Date();
+  const due = Object.values(broadcastJobs).filter(job => job.status === 'scheduled' && new Date(job.sendAt) <= now);
+  for (const job of due) {
+    console.log(`🗓️ Scheduled broadcast #${job.id} is due`);
+    await queueBroadcastJob(job);
+  }
+}
+
+// Check for due scheduled broadcasts now and then periodically
+function startBroadcastScheduler() {
+  if (broadcastScheduler) return;
+  const check = () => queueDueBroadcasts().catch(error => console.error('❌ Broadcast scheduler error:', error.message));
+  check();
+  broadcastScheduler = setInterval(check, BROADCAST_SCHEDULE_CHECK_MS);
+}
+
+// Save the final state and send the admin a delivered/failed summary
+async function finishBroadcastJob(job) {
+  job.finishedAt = new Date().toISOString();
+  await saveBroadcastJobs(job.id);
+  await updateBroadcastProgress(job);
+  
+  const seconds = Math.round((new Date(job.finishedAt) - new Date(job.startedAt || job.createdAt)) / 1000);
+  try {
+    await bot.telegram.sendMessage(
+      job.adminId,
+      tmd(job.adminId, job.status === 'cancelled' ? 'broadcast.cancelled' : 'broadcast.complete', {
+        id: job.id,
+        total: job.recipients.length,
+        delivered: job.delivered,
+        failed: job.failed,
+        blocked: job.blocked,
+        seconds
+      }),
+      { parse_mode: 'MarkdownV2' }
+    );
+  } catch (error) {
+    console.error(`❌ Error sending broadcast #${job.id} summary:`, error.message);
+  }
+}
+
+// Send a job's remaining messages at the configured rate until it is done or cancelled
+async function runBroadcastJob(job) {
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  await saveBroadcastJobs(job.id);
+  
+  let lastProgressAt = Date.now();
+  while (job.status === 'running' && job.position < job.recipients.length) {
+    const result = await deliverBroadcast(job, job.recipients[job.position]);
+    job[result]++;
+    job.position++;
+    if (Date.now() - lastProgressAt >= BROADCAST_PROGRESS_INTERVAL_MS) {
+      lastProgressAt = Date.now();
+      await saveBroadcastJobs(job.id);
+      await updateBroadcastProgress(job);
+    }
+    await delay(1000 / BROADCAST_RATE_LIMIT);
+  }
+  
+  if (job.status === 'running') job.status = 'done';
+  await finishBroadcastJob(job);
+}
+
+// Mark a job that threw as failed so the worker does not pick it up again, and tell the admin
+async function failBroadcastJob(job, error) {
+  console.error(`❌ Broadcast #${job.id} failed:`, error.message);
+  job.status = 'failed';
+  job.finishedAt = new Date().toISOString();
+  await saveBroadcastJobs(job.id);
+  await updateBroadcastProgress(job);
+  try {
+    await bot.telegram.sendMessage(
+      job.adminId,
+      tmd(job.adminId, 'broadcast.failed', { id: job.id, sent: job.position, total: job.recipients.length, error: error.message }),
+      { parse_mode: 'MarkdownV2' }
+    );
+  } catch (sendError) {
+    console.error(`❌ Error sending broadcast #${job.id} failure:`, sendError.message);
   }
 }
 
-// ========== Support Query Flow State ==========
-let supportState = {};
+// Run queued jobs one after another, oldest first
+function startBroadcastWorker() {
+  if (broadcastWorker) return broadcastWorker;
+  broadcastWorker = (async () => {
+    try {
+      let job;
+      while ((job = Object.values(broadcastJobs)
+        .filter(candidate => candidate.status === 'queued' || candidate.status === 'running')
+        .sort((a, b) => a.id - b.id)[0])) {
+        try {
+          await runBroadcastJob(job);
+        } catch (error) {
+          await failBroadcastJob(job, error);
+        }
+      }
+    } finally {
+      broadcastWorker = null;
+    }
+  })();
+  return broadcastWorker;
+}
+
+// Stop a job that has not finished (a draft is discarded), returns false when it already finished
+async function cancelBroadcastJob(job) {
+  const previous = job.status;
+  if (['done', 'cancelled', 'discarded', 'failed'].includes(previous)) return false;
+  job.status = previous === 'draft' ? 'discarded' : 'cancelled';
+  if (previous === 'queued') {
+    await finishBroadcastJob(job);
+  } else if (previous !== 'running') {
+    // Drafts and schedules never sent anything, so there is no summary
+    job.finishedAt = new Date().toISOString();
+    await saveBroadcastJobs(job.id);
+  }
+  // A running job stops after its current message and sends the summary itself
+  return true;
+}
+
+// Build the /broadcasts list in the viewer's language: scheduled jobs first, then recent ones, with cancel buttons
+function buildBroadcastListView(viewerId) {
+  const jobs = Object.values(broadcastJobs).filter(job => job.status !== 'draft' && job.status !== 'discarded');
+  const scheduled = jobs.filter(job => job.status === 'scheduled').sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  const recent = jobs.filter(job => job.status !== 'scheduled').sort((a, b) => b.id - a.id).slice(0, BROADCAST_LIST_LIMIT);
+  
+  const describe = (job) => {
+    const admin = users[job.adminId.toString()]?.firstName || job.adminName;
+    return `   ${t(viewerId, 'broadcast.list_audience', {
+      audience: describeBroadcastAudience(job.audience || {}, viewerId),
+      media: job.media ? ` · 📎 ${job.media.type}` : '',
+      admin
+    })}\n` +
+      `   "${getTicketPreview(job.message || `(${job.media.type})`)}"\n`;
+  };
+  
+  let text = `${t(viewerId, 'broadcast.list_scheduled_title', { count: scheduled.length })}\n\n`;
+  scheduled.forEach(job => {
+    text += `${t(viewerId, 'broadcast.list_scheduled_line', { id: job.id, time: formatBroadcastTime(job.sendAt) })}\n${describe(job)}`;
+  });
+  if (scheduled.length === 0) text += `${t(viewerId, 'broadcast.list_scheduled_empty')}\n`;
+  
+  text += `\n${t(viewerId, 'broadcast.list_recent_title')}\n\n`;
+  recent.forEach(job => {
+    text += `${t(viewerId, 'broadcast.list_recent_line', {
+      id: job.id,
+      emoji: BROADCAST_STATUSES[job.status],
+      status: t(viewerId, `broadcast.status_${job.status}`),
+      sent: job.position,
+      total: job.recipients.length,
+      created: new Date(job.createdAt).toLocaleString()
+    })}\n`;
+    text += `   ${t(viewerId, 'broadcast.list_counts', { delivered: job.delivered, failed: job.failed, blocked: job.blocked })}\n${describe(job)}`;
+  });
+  if (recent.length === 0) text += `${t(viewerId, 'broadcast.list_recent_empty')}\n`;
+  text += `\n${t(viewerId, 'broadcast.list_rate', { rate: BROADCAST_RATE_LIMIT })}`;
+  
+  const keyboard = chunkArray([...scheduled, ...recent]
+    .filter(job => ['scheduled', 'queued', 'running'].includes(job.status))
+    .map(job => ({ text: t(viewerId, 'broadcast.button_cancel_job', { id: job.id }), callback_data: `broadcast_cancel_${job.id}` })), 3);
+  return { text, keyboard };
+}
 
 // ========== Main Text Handler ==========
 bot.on('text', async (ctx, next) => {
@@ -395,84 +4396,30 @@ bot.on('text', async (ctx, next) => {
   await updateUserInfo(ctx);
   await trackMessage(ctx.from.id);
 
-  // Support query logic
-  if (supportState[ctx.from.id]) {
-    supportState[ctx.from.id] = false; // Reset state after receiving
-    const userName = ctx.from.first_name || 'User';
-    const username = ctx.from.username ? `@${ctx.from.username}` : 'no_username';
-    
-    for (const adminId of getAdminIds()) {
-      await bot.telegram.sendMessage(
-        adminId,
-        escapeMarkdownV2(
-          `📩 *New Support Request*\n\n` +
-          `👤 **From:** ${userName} (${username})\n` +
-          `🆔 **User ID:** \`${ctx.from.id}\`\n\n` +
-          `💬 **Message:**\n${ctx.message.text}`
-        ),
-        { parse_mode: 'MarkdownV2' }
-      );
+  // Support query logic: a new ticket, or an answer to one of the user's tickets
+  const supportTarget = supportState[ctx.from.id];
+  if (supportTarget && !ctx.message.text.startsWith('/')) {
+    delete supportState[ctx.from.id]; // Reset state after receiving
+    if (supportTarget === true) {
+      const ticket = await createTicket(ctx.from.id, ctx.message.text);
+      await notifySupportStaff(ticket, ctx.from, ctx.message.text);
+      return ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'support.sent', { ticket: ticket.id }));
     }
-    return ctx.replyWithMarkdownV2(
-      escapeMarkdownV2(
-        '✅ *Support Request Sent*\n\n' +
-        '📨 Your message has been forwarded to our admin team!\n' +
-        '⏰ Expect a response soon.'
-      )
-    );
+    const ticket = tickets[supportTarget];
+    if (!ticket || String(ticket.userId) !== String(ctx.from.id) || ticket.status === 'closed') {
+      return ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'support.ticket_unavailable'));
+    }
+    await addTicketMessage(ticket, 'user', ctx.from.id, ctx.message.text);
+    await notifySupportStaff(ticket, ctx.from, ctx.message.text);
+    return ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'support.followup_sent', { ticket: ticket.id }));
   }
 
   // Support request via /support
   if (ctx.message.text.startsWith('/support ')) {
     const supportText = ctx.message.text.replace('/support ', '');
-    const userName = ctx.from.first_name || 'User';
-    const username = ctx.from.username ? `@${ctx.from.username}` : 'no_username';
-    
-    for (const adminId of getAdminIds()) {
-      await bot.telegram.sendMessage(
-        adminId, 
-        escapeMarkdownV2(
-          `📩 *Support Request*\n\n` +
-          `👤 **From:** ${userName} (${username})\n` +
-          `🆔 **User ID:** \`${ctx.from.id}\`\n\n` +
-          `💬 **Message:**\n${supportText}`
-        ),
-        { parse_mode: 'MarkdownV2' }
-      );
-    }
-    return ctx.replyWithMarkdownV2(
-      escapeMarkdownV2(
-        '✅ *Support Request Sent*\n\n' +
-        '📨 Your message has been forwarded to our team!\n' +
-        '⏰ Expect a response soon.'
-      )
-    );
-  }
-  // Broadcast handler (admin only)
-  if (ctx.message.text.startsWith('/broadcast ')) {
-    if (!isAdmin(ctx.from.id)) {
-      return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\nOnly administrators can broadcast messages.'));
-    }
-    const msg = ctx.message.text.replace('/broadcast ', '');
-    const adminName = ctx.from.first_name || 'Admin';
-    
-    for (const userId of USER_IDS) {
-      await bot.telegram.sendMessage(
-        userId, 
-        escapeMarkdownV2(
-          `📢 *Admin Broadcast*\n\n` +
-          `👤 **From:** ${adminName}\n\n` +
-          `💬 **Message:**\n${msg}`
-        ),
-        { parse_mode: 'MarkdownV2' }
-      );
-    }
-    return ctx.replyWithMarkdownV2(
-      escapeMarkdownV2(
-        '✅ *Broadcast Complete*\n\n' +
-        `📤 Message sent to ${USER_IDS.size} users!`
-      )
-    );
+    const ticket = await createTicket(ctx.from.id, supportText);
+    await notifySupportStaff(ticket, ctx.from, supportText);
+    return ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'support.sent', { ticket: ticket.id }));
   }
 
   // Let command handlers process first, then handle unknown commands
@@ -484,94 +4431,58 @@ bot.on('text', async (ctx, next) => {
 
   // Normal chat AI response
   const userId = ctx.from.id;
-  const role = userRoles[userId] || 'Brain Master';
-  const lang = userLanguages[userId] || 'en';
+  const role = userRoles[userId] || DEFAULT_ROLE;
+  const { lang, detected } = getReplyLanguage(userId, ctx.message.text);
   const time = new Date().toLocaleTimeString('en-NG', { timeZone: 'Africa/Lagos', hour: '2-digit', minute: '2-digit' });
+  const roleLabel = getUserRoleLabel(userId);
+  const langLabel = (detected ? '🔎 ' : '') + (languages.find(l => l.code === lang)?.label || '🇬🇧 English');
 
   await ctx.sendChatAction('typing');
-  let response = escapeMarkdownV2("🤖 Sorry, I couldn't generate a reply.");
+  let answerText = null; // Unescaped answer kept for conversation memory
+  const providerRequest = buildProviderRequest(userId, ctx.message.text, role, lang);
+  const streamingReply = createStreamingReply(ctx, `🤖 Cool Shot AI | ${roleLabel}\n🌐 ${langLabel} | ⏰ ${time}`);
 
-  for (let url of aiAPIs) {
-    try {
-      const { data } = await axios.get(url, {
-        params: {
-          apikey: process.env.AI_API_KEY || 'gifted',
-          q: `${role}: ${ctx.message.text}`,
-          lang
-        },
-        timeout: 8000
-      });
+  // Ask the available providers using the configured routing mode
+  const result = await runProviderChain(providerRequest, text => streamingReply.update(text));
+  await trackAICall(!result);
 
-      if (data.result) {
-        const cleaned = escapeMarkdownV2(
-          data.result
-            .replace(/Prof-Tech MVAI|Gifted\s*AI|ChatGPT|GiftedTech|OpenAI/gi, 'Cool Shot AI')
-            .replace(/Cool Shot Designs\/Tech/gi, 'Cool Shot Systems')
-            .replace(/I['’`]?m an AI language model/gi, "I'm Cool Shot AI, your intelligent assistant")
-            .replace(/I was created by.*?[\\.\\n]/gi, "I was created by Cool Shot Systems.\n")
-            .replace(/[“”]/g, '"')
-        );
-        // Beautiful response formatting
-        const roleLabel = roles.includes(role) ? role : 'Brain Master';
-        const langLabel = languages.find(l => l.code === lang)?.label || '🇬🇧 English';
-        
-        response = `🤖 *Cool Shot AI* \\| *${escapeMarkdownV2(roleLabel)}*\n` +
-                  `🌐 ${escapeMarkdownV2(langLabel)} \\| ⏰ ${time}\n\n` +
-                  `${cleaned}\n\n` +
-                  `✨ _Powered by Cool Shot Systems_`;
-        break;
-      }
-    } catch (err) {
-      console.error('❌ AI Request Failed:', err.message);
-    }
+  // Beautiful response formatting
+  const header = `🤖 *Cool Shot AI* \\| *${escapeMarkdownV2(roleLabel)}*\n` +
+                 `🌐 ${escapeMarkdownV2(langLabel)} \\| ⏰ ${time}`;
+  let body;
+  let footer;
+  if (result) {
+    answerText = result.text.trim();
+    body = formatAIResponse(answerText);
+    footer = translateMarkdown(lang, 'common.powered_by');
+  } else {
+    // If still no response, show enhanced fallback message
+    body = translateMarkdown(lang, 'ai.error');
+    footer = translateMarkdown(lang, 'ai.error_footer');
   }
-  
-  // If all APIs failed, try Google Gemini as fallback
-  if (response.includes("Sorry, I couldn't generate a reply") && geminiAI) {
-    try {
-      console.log('🔄 Trying Google Gemini API as fallback...');
-      const geminiResponse = await callGeminiAPI(ctx.message.text, role, lang);
-      
-      if (geminiResponse.result) {
-        const cleaned = escapeMarkdownV2(
-          geminiResponse.result
-            .replace(/Google|Gemini|Bard/gi, 'Cool Shot AI')
-            .replace(/I'm an AI assistant|I'm a large language model/gi, "I'm Cool Shot AI, your intelligent assistant")
-            .replace(/I was (created|developed|made|built) by Google/gi, "I was created by Cool Shot Systems")
-            .replace(/Google AI|Google's AI|Gemini AI/gi, "Cool Shot AI")
-            .replace(/[""]/g, '"')
-        );
-        
-        // Beautiful response formatting
-        const roleLabel = roles.includes(role) ? role : 'Brain Master';
-        const langLabel = languages.find(l => l.code === lang)?.label || '🇬🇧 English';
-        
-        response = `🤖 *Cool Shot AI* \\| *${escapeMarkdownV2(roleLabel)}*\n` +
-                  `🌐 ${escapeMarkdownV2(langLabel)} \\| ⏰ ${time}\n\n` +
-                  `${cleaned}\n\n` +
-                  `✨ _Powered by Cool Shot Systems_`;
-        console.log('✅ Google Gemini API response successful');
+  const parts = buildReplyParts(header, body, footer);
+
+  // Offer long answers as a downloadable Markdown document
+  let extra;
+  if (answerText && parts.length > 1) {
+    longAnswers[userId] = { question: ctx.message.text, answer: answerText, role: roleLabel, createdAt: new Date().toISOString() };
+    extra = {
+      reply_markup: {
+        inline_keyboard: [[{ text: translate(lang, 'ai.document_button'), callback_data: 'answer_document' }]]
       }
-    } catch (err) {
-      console.error('❌ Google Gemini API Failed:', err.message);
-    }
+    };
   }
-  
-  // If still no response, show enhanced fallback message
-  if (response.includes("Sorry, I couldn't generate a reply")) {
-    const roleLabel = roles.includes(role) ? role : 'Brain Master';
-    const langLabel = languages.find(l => l.code === lang)?.label || '🇬🇧 English';
-    
-    response = `🤖 *Cool Shot AI* \\| *${escapeMarkdownV2(roleLabel)}*\n` +
-              `🌐 ${escapeMarkdownV2(langLabel)} \\| ⏰ ${time}\n\n` +
-              `⚠️ I'm currently experiencing technical difficulties with my AI processing\\. Please try again in a moment\\!\n\n` +
-              `💡 In the meantime, you can:\n` +
-              `• Use /games for entertainment\n` +
-              `• Use /tools for text utilities\n` +
-              `• Use /help for command list\n\n` +
-              `✨ _Cool Shot Systems \\- Always here to help_`;
+
+  // Remember the exchange so follow-up questions keep their context
+  if (answerText) {
+    addConversationTurn(userId, ctx.message.text, answerText);
+  }
+  await streamingReply.finish(parts, extra);
+
+  // Offer to keep answering in a language the user keeps writing in
+  if (detected && shouldSuggestLanguage(userId)) {
+    await sendLanguageSuggestion(ctx, lang);
   }
-  ctx.replyWithMarkdownV2(response);
 });
 
 // ========== Commands ==========
@@ -580,62 +4491,43 @@ bot.on('text', async (ctx, next) => {
 bot.start(async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('start', ctx.from.id);
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      "👋 *Hello, I'm Cool Shot AI!*\n\n" +
-      "🤖 Developed by *Cool Shot Systems*, your intelligent assistant is now online!\n\n" +
-      "💡 Ask me anything:\n🧮 Math | 💊 Health | 💻 Tech | 🎭 Creativity\n\n" +
-      "🎓 Use /role to switch brain mode\n🌐 Use /lang to choose language\n🛠️ Use /buttons for quick menu\n🔄 Use /reset to reset settings\n🎮 Use /games for fun activities\n🆘 Use /support <your message> for support\n🚀 Let's go!"
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'start.welcome'));
 });
 
 // About Command
 bot.command('about', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('about', ctx.from.id);
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      "ℹ️ *About Cool Shot AI*\n\n" +
-      "🤖 Developed by *Cool Shot Systems*\n💡 Multi-role intelligent assistant powered by AI endpoints\n🌐 15+ languages supported\n🧠 100+ Knowledge Roles\n\n" +
-      "🎓 Use /role and /lang\n🛠️ Use /buttons for quick settings\n🔄 Use /reset to reset settings\n🆘 Use /support <your message> for support"
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'about.text'));
 });
 
 // Help Command
 bot.command('help', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('help', ctx.from.id);
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      "🆘 *Cool Shot AI Help*\n\n" +
-      "• Use /start to see welcome\n• /role to pick your expert mode\n• /lang for language\n• /about for info\n• /reset for a fresh start\n• /buttons for quick menu\n• /games for fun activities\n• /tools for text utilities\n• /stats for bot statistics\n• /support <your message> if you need help\n• /ping to check bot status"
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'help.text'));
 });
 
 // Support Command
 bot.command('support', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('support', ctx.from.id);
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      "🆘 *Cool Shot AI Support Center*\n\n" +
-      "💌 *Contact Options:*\n" +
-      "• Email: support@coolshotsystems.com\n" +
-      "• Quick Help: `/support <your message>`\n\n" +
-      "⚡ *Response Time:* Our admins respond ASAP!\n\n" +
-      "💡 *Tip:* Be specific about your issue for faster resolution."
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'support.center'));
+});
+
+// My Tickets Command
+bot.command('mytickets', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('mytickets', ctx.from.id);
+  const view = buildMyTicketsView(ctx.from.id);
+  ctx.replyWithMarkdownV2(view.text, { reply_markup: { inline_keyboard: view.keyboard } });
 });
 
 // Ping Command for Telegram
 bot.command('ping', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('ping', ctx.from.id);
-  ctx.replyWithMarkdownV2(escapeMarkdownV2('🏓 *Cool Shot AI Status: ONLINE*\n\n✅ All systems operational!'));
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'ping.online'));
 });
 
 // Reset Command
@@ -643,41 +4535,175 @@ bot.command('reset', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('reset', ctx.from.id);
   const userId = ctx.from.id;
-  delete userRoles[userId];
-  delete userLanguages[userId];
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      '🔄 *Settings Reset Complete*\n\n' +
-      '✅ Role: Default (Brain Master)\n' +
-      '✅ Language: Default (English)\n\n' +
-      '💡 Use /role and /lang to customize again!'
-    )
-  );
+  await resetUserPreferences(userId);
+  clearConversation(userId);
+  ctx.replyWithMarkdownV2(tmd(userId, 'reset.done', { role: DEFAULT_ROLE }));
+});
+
+// Conversation History Command
+bot.command('history', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('history', ctx.from.id);
+  
+  const conversation = conversationHistory[ctx.from.id];
+  if (!conversation || (!conversation.summary && conversation.turns.length === 0)) {
+    return ctx.replyWithMarkdownV2(
+      `${tmd(ctx.from.id, 'history.title')}\n\n${tmd(ctx.from.id, 'history.empty')}`
+    );
+  }
+  
+  let message = `${tmd(ctx.from.id, 'history.title')}\n\n`;
+  if (conversation.summary) {
+    message += `${tmd(ctx.from.id, 'history.earlier')}\n${escapeMarkdownV2(clipText(conversation.summary, 400))}\n\n`;
+  }
+  conversation.turns.forEach((turn, index) => {
+    message += `${index + 1}\\. 👤 ${escapeMarkdownV2(clipText(turn.question, 150))}\n`;
+    message += `🤖 ${escapeMarkdownV2(clipText(turn.answer, 250))}\n\n`;
+  });
+  message += tmd(ctx.from.id, 'history.footer');
+  
+  ctx.replyWithMarkdownV2(message);
+});
+
+// Forget Conversation Command
+bot.command('forget', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('forget', ctx.from.id);
+  clearConversation(ctx.from.id);
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'forget.done'));
 });
 
 // Role Selection
 bot.command('role', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('role', ctx.from.id);
-  ctx.replyWithMarkdownV2(escapeMarkdownV2('🧠 *Choose Your Expert Role*\n\n💡 Select a role to customize AI responses:'), {
-    reply_markup: {
-      inline_keyboard: chunkArray(roles, 4).map(row =>
-        row.map(r => ({ text: r, callback_data: `role_${r}` }))
-      )
+  const userId = ctx.from.id;
+  const query = clipRoleSearchQuery(ctx.message.text.replace(/^\/role(@\w+)?\s*/, ''));
+  
+  if (query) {
+    // An exact role name selects it straight away, anything else searches
+    const exact = getRoleChoices(userId).find(choice =>
+      choice.name.toLowerCase().replace(/^🎭 /, '') === query.toLowerCase()
+    );
+    if (exact) {
+      await setUserRole(userId, exact.value);
+      return ctx.replyWithMarkdownV2(tmd(userId, 'role.updated', { role: getUserRoleLabel(userId) }));
     }
-  });
+    const view = buildRoleSearchView(userId, query, 0);
+    return ctx.replyWithMarkdownV2(view.text, { reply_markup: { inline_keyboard: view.keyboard } });
+  }
+  
+  const menu = buildRoleMenu(userId);
+  ctx.replyWithMarkdownV2(menu.text, { reply_markup: { inline_keyboard: menu.keyboard } });
+});
+
+// Role Search (inline mode: @bot <text>)
+bot.on('inline_query', async (ctx) => {
+  const query = clipRoleSearchQuery(ctx.inlineQuery.query);
+  const choices = query ? searchRoles(ctx.from.id, query) : getRoleChoices(ctx.from.id);
+  const results = choices.slice(0, 20).map((choice, index) => ({
+    type: 'article',
+    id: String(index),
+    title: choice.name,
+    description: clipText(choice.description, 100),
+    input_message_text: { message_text: `🧠 ${choice.name}\n\n${clipText(choice.description, 200)}` },
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.from.id, 'role.use_button'), callback_data: `role_${choice.value}` }]] }
+  }));
+  await ctx.answerInlineQuery(results, { cache_time: 0, is_personal: true });
+});
+
+// Custom Persona Management
+bot.command('persona', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('persona', ctx.from.id);
+  
+  const userId = ctx.from.id;
+  const text = ctx.message.text.replace(/^\/persona(@\w+)?\s*/, '');
+  const [action = '', ...rest] = text.split(' ');
+  const argText = rest.join(' ').trim();
+  const personaId = rest[0];
+  
+  if (!action || action === 'list') {
+    const list = getUserPersonas(userId);
+    let message = `${t(userId, 'persona.list_title', { count: list.length })}\n\n`;
+    if (list.length === 0) {
+      message += `${t(userId, 'persona.none')}\n`;
+    }
+    list.forEach(persona => {
+      const status = persona.ownerId === String(userId) ? (persona.shared ? 'shared' : 'private') : 'saved';
+      const owner = t(userId, `persona.status_${status}`);
+      const active = userRoles[userId] === `${PERSONA_ROLE_PREFIX}${persona.id}` ? ' ✅' : '';
+      message += `• ${persona.name} [${persona.id}] (${owner})${active}\n  ${clipText(persona.prompt, 80)}\n`;
+    });
+    message += `\n${t(userId, 'persona.help')}`;
+    return ctx.reply(message);
+  }
+  
+  if (action === 'create') {
+    const [name = '', prompt = '', tone = '', format = ''] = argText.split('|').map(part => part.trim());
+    if (!name || !prompt) {
+      return ctx.reply(t(userId, 'persona.create_usage'));
+    }
+    const result = await createPersona(userId, { name, prompt, tone, format });
+    if (!result.success) return ctx.reply(`❌ ${result.error}`);
+    return ctx.reply(t(userId, 'persona.created', { name: result.persona.name, id: result.persona.id }));
+  }
+  
+  if (action === 'edit') {
+    const [, field = '', ...valueParts] = rest;
+    if (!personaId || !field) {
+      return ctx.reply(t(userId, 'persona.edit_usage'));
+    }
+    const result = await updatePersona(userId, personaId, field, valueParts.join(' ').trim());
+    if (!result.success) return ctx.reply(`❌ ${result.error}`);
+    return ctx.reply(t(userId, 'persona.updated', { field, name: result.persona.name }));
+  }
+  
+  if (!['use', 'share', 'unshare', 'add', 'delete'].includes(action)) {
+    return ctx.reply(t(userId, 'persona.unknown_action'));
+  }
+  if (!personaId) {
+    return ctx.reply(t(userId, 'persona.action_usage', { action }));
+  }
+  
+  if (action === 'use') {
+    const persona = personas[personaId];
+    if (!persona || !canUsePersona(persona, userId)) {
+      return ctx.reply(t(userId, 'persona.use_not_found'));
+    }
+    await setUserRole(userId, `${PERSONA_ROLE_PREFIX}${persona.id}`);
+    return ctx.reply(t(userId, 'persona.now_using', { name: persona.name }));
+  }
+  
+  if (action === 'share' || action === 'unshare') {
+    const result = await setPersonaShared(userId, personaId, action === 'share');
+    if (!result.success) return ctx.reply(`❌ ${result.error}`);
+    return ctx.reply(t(userId, action === 'share' ? 'persona.shared' : 'persona.unshared', {
+      name: result.persona.name,
+      id: result.persona.id
+    }));
+  }
+  
+  if (action === 'add') {
+    const result = await savePersonaForUser(userId, personaId);
+    if (!result.success) return ctx.reply(`❌ ${result.error}`);
+    return ctx.reply(t(userId, 'persona.saved', { name: result.persona.name, id: result.persona.id }));
+  }
+  
+  const result = await removePersona(userId, personaId);
+  if (!result.success) return ctx.reply(`❌ ${result.error}`);
+  if (userRoles[userId] === `${PERSONA_ROLE_PREFIX}${personaId}`) {
+    await setUserRole(userId, DEFAULT_ROLE);
+  }
+  return ctx.reply(t(userId, result.deleted ? 'persona.deleted' : 'persona.removed', { name: result.persona.name }));
 });
 
 // Language Selection
 bot.command('lang', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('lang', ctx.from.id);
-  ctx.replyWithMarkdownV2(escapeMarkdownV2('🌍 *Choose Your Language*\n\n🗣️ Select your preferred language for responses:'), {
-    reply_markup: {
-      inline_keyboard: chunkArray(languages, 3).map(row =>
-        row.map(l => ({ text: l.label, callback_data: `lang_${l.code}` }))
-      )
-    }
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'lang.menu'), {
+    reply_markup: { inline_keyboard: buildLanguageKeyboard(ctx.from.id) }
   });
 });
 
@@ -685,20 +4711,21 @@ bot.command('lang', async (ctx) => {
 bot.command('buttons', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('buttons', ctx.from.id);
-  ctx.replyWithMarkdownV2(escapeMarkdownV2('⚙️ *Quick Settings Menu*\n\n🚀 Choose an action below:'), {
+  const userId = ctx.from.id;
+  ctx.replyWithMarkdownV2(tmd(userId, 'buttons.menu'), {
     reply_markup: {
       inline_keyboard: [
-        [{ text: '🧠 Choose Role', callback_data: 'show_role' }],
-        [{ text: '🌍 Choose Language', callback_data: 'show_lang' }],
-        [{ text: 'ℹ️ About Cool Shot AI', callback_data: 'show_about' }],
-        [{ text: '🔄 Reset Settings', callback_data: 'do_reset' }],
-        [{ text: '🆘 Get Support', callback_data: 'start_support' }],
-        [{ text: '🛡️ Admin Panel', callback_data: 'show_admin' }],
-        [{ text: '🎮 Games & Fun', callback_data: 'show_games' }],
-        [{ text: '🛠️ Text Tools', callback_data: 'show_tools' }],
-        [{ text: '📊 Bot Stats', callback_data: 'show_stats' }],
-        [{ text: '🏓 System Status', callback_data: 'ping_cmd' }],
-        [{ text: '📚 Help Guide', callback_data: 'help_cmd' }]
+        [{ text: t(userId, 'buttons.role'), callback_data: 'show_role' }],
+        [{ text: t(userId, 'buttons.lang'), callback_data: 'show_lang' }],
+        [{ text: t(userId, 'buttons.about'), callback_data: 'show_about' }],
+        [{ text: t(userId, 'buttons.reset'), callback_data: 'do_reset' }],
+        [{ text: t(userId, 'buttons.support'), callback_data: 'start_support' }],
+        [{ text: t(userId, 'buttons.admin'), callback_data: 'show_admin' }],
+        [{ text: t(userId, 'buttons.games'), callback_data: 'show_games' }],
+        [{ text: t(userId, 'buttons.tools'), callback_data: 'show_tools' }],
+        [{ text: t(userId, 'buttons.stats'), callback_data: 'show_stats' }],
+        [{ text: t(userId, 'buttons.ping'), callback_data: 'ping_cmd' }],
+        [{ text: t(userId, 'buttons.help'), callback_data: 'help_cmd' }]
       ]
     }
   });
@@ -709,75 +4736,242 @@ bot.command('admininfo', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('admininfo', ctx.from.id);
   
-  const isCurrentUserAdmin = isAdmin(ctx.from.id);
-  const adminUsers = getAdminUsers();
-  const hasUsername = ctx.from.username ? `@${ctx.from.username}` : 'No username set';
+  const userId = ctx.from.id;
+  const role = getAccessRole(userId);
+  const sources = getRoleSources(userId, userId);
+  const permissions = ACCESS_ROLES[role].permissions.includes('*') ? PERMISSIONS : ACCESS_ROLES[role].permissions;
+  
+  let message = `${tmd(userId, 'admininfo.title')}\n\n`;
+  message += `${tmd(userId, 'admininfo.summary', {
+    id: userId,
+    username: ctx.from.username ? `@${ctx.from.username}` : t(userId, 'common.no_username'),
+    role: getAccessRoleLabel(userId, role),
+    sources: sources.length > 0 ? ` (${sources.join(', ')})` : '',
+    admins: getAdminUsers().length,
+    users: Object.keys(users).length
+  })}\n\n`;
+  
+  if (role === 'user') {
+    message += `${tmd(userId, 'admininfo.how_to_title')}\n`;
+    message += tmd(userId, 'admininfo.how_to', { id: userId, roles: GRANTABLE_ROLES.join('|') });
+  } else {
+    message += `${tmd(userId, 'admininfo.permissions_title')}\n`;
+    permissions.forEach(permission => {
+      message += `${tmd(userId, 'admininfo.permission_line', { permission, description: t(userId, `permissions.${permission}`) })}\n`;
+    });
+  }
+  
+  if (isAdmin(userId)) {
+    // Who has which role and where it comes from
+    message += `\n${tmd(userId, 'admininfo.staff_title')}\n`;
+    getStaffUsers().forEach(user => {
+      message += `${tmd(userId, 'admininfo.staff_line', {
+        name: user.firstName || t(userId, 'common.unknown_user'),
+        username: user.username ? ` @${user.username}` : '',
+        id: user.id,
+        role: getAccessRoleLabel(userId, getAccessRole(user.id)),
+        sources: getRoleSources(user.id, userId).join(', ')
+      })}\n`;
+    });
+    const unseenIds = Object.keys(envAdminSources).filter(id => !users[id]);
+    unseenIds.forEach(id => {
+      message += `${tmd(userId, 'admininfo.unseen_line', { id, sources: envAdminSources[id].join(', ') })}\n`;
+    });
+    const unresolved = [...adminUsernames].filter(name => !adminUsernameIds[name]);
+    if (unresolved.length > 0) {
+      message += `${tmd(userId, 'admininfo.waiting', { usernames: unresolved.map(name => `@${name}`).join(', ') })}\n`;
+    }
+  }
+  
+  ctx.replyWithMarkdownV2(message);
+});
+
+// API Status Command (Admin only)
+bot.command('apistatus', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('apistatus', ctx.from.id);
+  
+  await ctx.reply(t(ctx.from.id, 'apistatus.probing'));
+  const probeResults = await probeAllProviders();
+  ctx.replyWithMarkdownV2(buildApiStatusMessage(ctx.from.id, probeResults));
+});
+
+// Provider Management Command (Admins view, RayBen445 changes)
+bot.command('providers', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('providers', ctx.from.id);
+  
+  const userId = ctx.from.id;
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  const action = args[1];
+  
+  if (!action) {
+    const providers = [...aiProviders].sort((a, b) => a.priority - b.priority);
+    let message = `${t(userId, 'providers.title', { count: providers.length })}\n\n`;
+    providers.forEach(provider => {
+      message += `• ${provider.id} - ${provider.name} [${provider.type}]\n`;
+      message += `  ${t(userId, 'providers.line', { priority: provider.priority, timeout: provider.timeout, status: getProviderStatusLabel(userId, provider) })}\n`;
+    });
+    message += `\n${t(userId, 'providers.routing', { mode: aiRouting.mode })}${getRoutingDetails(userId)}`;
+    message += `\n\n💡 /providers enable <id>\n💡 /providers disable <id>\n💡 /providers priority <id> <number>\n💡 /providers mode <sequential|race|hedged> [count] [delay_ms]\n💡 /providers reload`;
+    return ctx.reply(message);
+  }
+  
+  if (action === 'reload') {
+    await loadProviders();
+    await recordAudit(ctx.from.id, 'providers.reload');
+    return ctx.reply(t(userId, 'providers.reloaded', { count: aiProviders.length, file: PROVIDERS_FILE, active: getActiveProviders().length }));
+  }
+  
+  if (action === 'mode') {
+    const mode = args[2];
+    if (!ROUTING_MODES.includes(mode)) {
+      return ctx.reply(t(userId, 'providers.mode_usage'));
+    }
+    const routing = { mode };
+    if (args[3]) routing.raceCount = parseInt(args[3]);
+    if (args[4]) routing.hedgeDelayMs = parseInt(args[4]);
+    if (Object.values(routing).slice(1).some(value => isNaN(value))) {
+      return ctx.reply(t(userId, 'providers.mode_not_numbers'));
+    }
+    await saveProviders(routing);
+    loadRoutingConfig({ ...aiRouting, ...routing });
+    await recordAudit(ctx.from.id, 'providers.mode', null, routing);
+    let reply = t(userId, 'providers.mode_set', { mode: aiRouting.mode }) + getRoutingDetails(userId);
+    if (process.env.AI_ROUTING_MODE || process.env.AI_RACE_COUNT || process.env.AI_HEDGE_DELAY_MS) {
+      reply += `\n${t(userId, 'providers.env_override')}`;
+    }
+    return ctx.reply(reply);
+  }
+  
+  const provider = aiProviders.find(p => p.id === args[2]);
+  if (!provider) {
+    return ctx.reply(t(userId, 'providers.usage'));
+  }
   
-  let message = `🛡️ *Admin System Info*\n\n`;
-  message += `👤 Your ID: \`${ctx.from.id}\`\n`;
-  message += `📛 Username: ${hasUsername}\n`;
-  message += `⚡ Admin Status: ${isCurrentUserAdmin ? '✅ Admin' : '❌ Not Admin'}\n`;
-  message += `👥 Total Admins: ${adminUsers.length}\n`;
-  message += `👥 Total Users: ${Object.keys(users).length}\n\n`;
+  if (action === 'enable' || action === 'disable') {
+    provider.enabled = action === 'enable';
+    await saveProviders();
+    await recordAudit(ctx.from.id, `providers.${action}`, null, { provider: provider.id });
+    return ctx.reply(t(userId, provider.enabled ? 'providers.enabled' : 'providers.disabled', { name: provider.name, id: provider.id }));
+  }
   
-  if (!isCurrentUserAdmin) {
-    message += `📋 *How to become admin:*\n`;
-    message += `Contact RayBen445 to promote you to admin using /promote ${ctx.from.id}`;
-  } else {
-    message += `🎉 You have admin privileges!\n`;
-    if (isRayBen(ctx.from.id)) {
-      message += `👑 You are the primary admin with promotion rights.`;
+  if (action === 'priority') {
+    const priority = parseInt(args[3]);
+    if (isNaN(priority)) {
+      return ctx.reply(t(userId, 'providers.invalid_priority'));
     }
+    provider.priority = priority;
+    await saveProviders();
+    await recordAudit(ctx.from.id, 'providers.priority', null, { provider: provider.id, priority });
+    return ctx.reply(t(userId, 'providers.priority_set', { name: provider.name, id: provider.id, priority }));
   }
   
-  ctx.replyWithMarkdownV2(message.replace(/([_*[\]()~`>#+=|{}.!-])/g, '\\$1'));
+  ctx.reply(t(userId, 'providers.unknown_action'));
 });
 
-// API Status Command (Admin only)
-bot.command('apistatus', async (ctx) => {
+// Brand Rules Command (Admin only)
+bot.command('brandrules', async (ctx) => {
   await updateUserInfo(ctx);
-  await trackCommand('apistatus', ctx.from.id);
+  await trackCommand('brandrules', ctx.from.id);
+  
+  const userId = ctx.from.id;
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  const action = args[1];
   
-  if (!isAdmin(ctx.from.id)) {
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\nOnly administrators can check API status.'));
+  if (!action || action === 'list') {
+    let message = `${t(userId, 'brandrules.title', { count: brandRules.length })}\n\n`;
+    brandRules.forEach((rule, index) => {
+      message += `${index + 1}. ${rule.id} [${rule.scope.join(', ')}]\n`;
+      message += `   /${rule.pattern}/ → "${rule.replacement}"\n`;
+    });
+    message += `\n💡 /brandrules test [provider_id] <text>\n💡 /brandrules check\n💡 /brandrules reload`;
+    return ctx.reply(message);
   }
   
-  let message = `🔧 *AI API Status Dashboard*\\n\\n`;
+  if (action === 'test') {
+    // An optional provider id before the sample text enables provider-scoped rules
+    const provider = aiProviders.find(p => p.id === args[2]);
+    const sample = args.slice(provider ? 3 : 2).join(' ');
+    if (!sample) {
+      return ctx.reply(t(userId, 'brandrules.test_usage'));
+    }
+    const result = rewriteBrandText(sample, provider);
+    return ctx.reply(t(userId, 'brandrules.test_result', {
+      provider: provider ? ` (${provider.id})` : '',
+      input: sample,
+      output: result.text,
+      rules: result.applied.length > 0 ? result.applied.join(', ') : t(userId, 'brandrules.none_applied')
+    }));
+  }
   
-  // Check primary APIs
-  message += `🎯 **Primary APIs \\(${aiAPIs.length}\\):**\\n`;
-  for (let i = 0; i < aiAPIs.length; i++) {
-    const url = aiAPIs[i];
-    const apiName = url.includes('gpt4o') ? 'GPT-4o' : 
-                   url.includes('geminiaipro') ? 'Gemini Pro' :
-                   url.includes('meta-llama') ? 'Meta Llama' :
-                   url.includes('copilot') ? 'Copilot' :
-                   `API ${i + 1}`;
-    message += `${i + 1}\\. ${escapeMarkdownV2(apiName)} \\- GiftedTech\\n`;
+  if (action === 'check') {
+    const failures = checkBrandRuleExamples();
+    const total = brandRules.reduce((count, rule) => count + rule.examples.length, 0);
+    if (failures.length === 0) {
+      return ctx.reply(t(userId, 'brandrules.check_pass', { total }));
+    }
+    let message = `${t(userId, 'brandrules.check_failed', { failed: failures.length, total })}\n\n`;
+    failures.forEach(failure => {
+      message += `${t(userId, 'brandrules.check_failure', failure)}\n`;
+    });
+    return ctx.reply(message);
   }
   
-  // Check Google Gemini status
-  message += `\\n🤖 **Fallback API:**\\n`;
-  if (geminiAI) {
-    message += `✅ Google Gemini \\- *Configured & Ready*\\n`;
-  } else {
-    message += `⚠️ Google Gemini \\- *Not Configured*\\n`;
-    message += `💡 Set GOOGLE\\_API\\_KEY environment variable to enable\\n`;
+  if (action === 'reload') {
+    await loadBrandRules();
+    await recordAudit(ctx.from.id, 'brandrules.reload');
+    const failures = checkBrandRuleExamples();
+    const status = failures.length === 0
+      ? t(userId, 'brandrules.reload_pass')
+      : t(userId, 'brandrules.reload_failed', { failed: failures.length });
+    return ctx.reply(`${t(userId, 'brandrules.reloaded', { count: brandRules.length, file: BRAND_RULES_FILE })} ${status}`);
   }
   
-  message += `\\n📊 **API Flow:**\\n`;
-  message += `1\\. Try all ${aiAPIs.length} primary APIs sequentially\\n`;
-  message += `2\\. If all fail, use Google Gemini fallback\\n`;
-  message += `3\\. If still no response, show enhanced error message\\n\\n`;
+  ctx.reply(t(userId, 'brandrules.unknown_action'));
+});
+
+// Translation Coverage (Admin Only)
+bot.command('translations', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('translations', ctx.from.id);
   
-  message += `🛡️ **Brand Protection:**\\n`;
-  message += `• All responses maintain Cool Shot AI identity\\n`;
-  message += `• Comprehensive text replacement ensures consistency\\n`;
-  message += `• No external provider names leak through\\n\\n`;
+  const userId = ctx.from.id;
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  if (args[1] === 'reload') {
+    await loadTranslations();
+    await recordAudit(ctx.from.id, 'translations.reload');
+  }
   
-  message += `✨ _Cool Shot Systems API Management_`;
+  const report = findUntranslatedKeys();
+  const totalKeys = Object.keys(translations[DEFAULT_LANGUAGE] || {}).length;
+  const code = args[1] && args[1] !== 'reload' ? args[1] : null;
   
-  ctx.replyWithMarkdownV2(message);
+  if (code) {
+    const entry = report[code];
+    if (!entry) {
+      return ctx.reply(t(userId, 'translations.unknown_language', { code, codes: Object.keys(report).join(', ') }));
+    }
+    let message = `${t(userId, 'translations.language_summary', { code, translated: totalKeys - entry.missing.length, total: totalKeys })}\n`;
+    if (entry.missing.length > 0) {
+      message += `\n${t(userId, 'translations.missing', { count: entry.missing.length })}\n${entry.missing.map(key => `• ${key}`).join('\n')}\n`;
+    }
+    if (entry.mismatched.length > 0) {
+      message += `\n${t(userId, 'translations.mismatched', { count: entry.mismatched.length })}\n${entry.mismatched.map(key => `• ${key}`).join('\n')}\n`;
+    }
+    return ctx.reply(message);
+  }
+  
+  let message = `${t(userId, 'translations.title', { total: totalKeys })}\n\n`;
+  languages.filter(l => l.code !== DEFAULT_LANGUAGE).forEach(language => {
+    const entry = report[language.code];
+    const status = entry.missing.length === 0 && entry.mismatched.length === 0 ? '✅' : '⚠️';
+    message += `${status} ${language.label}: ${totalKeys - entry.missing.length}/${totalKeys}`;
+    if (entry.mismatched.length > 0) message += t(userId, 'translations.mismatch_count', { count: entry.mismatched.length });
+    message += '\n';
+  });
+  message += `\n${t(userId, 'translations.help', { dir: LOCALES_DIR })}`;
+  ctx.reply(message);
 });
 
 // Users List Command (RayBen only)
@@ -785,144 +4979,364 @@ bot.command('users', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('users', ctx.from.id);
   
-  if (!isRayBen(ctx.from.id)) {
-    return ctx.reply('⛔️ Only RayBen445 can view the user list.');
-  }
-  
+  const userId = ctx.from.id;
   const userList = Object.values(users);
   const totalUsers = userList.length;
-  const adminUsers = userList.filter(user => user.isAdmin);
+  const staffUsers = getStaffUsers();
+  const describe = user => ({
+    name: user.firstName || t(userId, 'common.unknown_user'),
+    username: user.username ? `@${user.username}` : t(userId, 'common.no_username'),
+    id: user.id
+  });
   
-  let message = `👥 *User Database* (${totalUsers} users)\n\n`;
-  message += `🛡️ **Admins (${adminUsers.length}):**\n`;
+  let message = `${tmd(userId, 'users.title', { count: totalUsers })}\n\n`;
+  message += `${tmd(userId, 'users.staff', { count: staffUsers.length })}\n`;
   
-  adminUsers.forEach((user, index) => {
-    const name = user.firstName || 'Unknown';
-    const username = user.username ? `@${user.username}` : 'No username';
-    const isPrimary = user.id === RAYBEN_ID ? ' 👑' : '';
-    message += `${index + 1}. ${name} (${username}) - ID: \`${user.id}\`${isPrimary}\n`;
+  staffUsers.forEach((user, index) => {
+    message += `${tmd(userId, 'users.staff_line', { index: index + 1, ...describe(user), role: getAccessRoleLabel(userId, getAccessRole(user.id)) })}\n`;
   });
   
-  message += `\n👤 **Regular Users (${totalUsers - adminUsers.length}):**\n`;
-  const regularUsers = userList.filter(user => !user.isAdmin).slice(0, 20); // Limit to first 20
+  message += `\n${tmd(userId, 'users.regular', { count: totalUsers - staffUsers.length })}\n`;
+  const regularUsers = userList.filter(user => getAccessRole(user.id) === 'user').slice(0, 20); // Limit to first 20
   
   regularUsers.forEach((user, index) => {
-    const name = user.firstName || 'Unknown';
-    const username = user.username ? `@${user.username}` : 'No username';
-    message += `${index + 1}. ${name} (${username}) - ID: \`${user.id}\`\n`;
+    message += `${tmd(userId, 'users.regular_line', { index: index + 1, ...describe(user), badges: getModerationBadges(user) })}\n`;
   });
   
-  if (totalUsers - adminUsers.length > 20) {
-    message += `... and ${totalUsers - adminUsers.length - 20} more users\n`;
+  if (totalUsers - staffUsers.length > 20) {
+    message += `${tmd(userId, 'users.more', { count: totalUsers - staffUsers.length - 20 })}\n`;
+  }
+  
+  message += `\n${tmd(userId, 'users.hint', { roles: GRANTABLE_ROLES.join('|') })}`;
+  
+  ctx.replyWithMarkdownV2(message);
+});
+
+// Tell a user about their new role
+async function notifyRoleGranted(userId, role) {
+  try {
+    await bot.telegram.sendMessage(userId, t(userId, 'access.notify_granted', { role: getAccessRoleLabel(userId, role) }));
+  } catch (error) {
+    console.log('Could not notify user of new role:', error.message);
+  }
+}
+
+// Tell a user that the role they had was removed
+async function notifyRoleRevoked(userId, role) {
+  try {
+    await bot.telegram.sendMessage(userId, t(userId, 'access.notify_revoked', { role: getAccessRoleLabel(userId, role) }));
+  } catch (error) {
+    console.log('Could not notify user of revoked role:', error.message);
+  }
+}
+
+// Grant a role to the user named by ID or @username and notify them
+async function replyWithRoleGrant(ctx, reference, role) {
+  const user = findUserByReference(reference);
+  if (!user) {
+    return ctx.reply(t(ctx.from.id, 'access.user_not_seen'));
+  }
+  
+  const result = await grantAccessRole(user.id, role, ctx.from.id);
+  if (!result.success) {
+    return ctx.reply(`❌ ${result.error}`);
+  }
+  
+  await recordAudit(ctx.from.id, 'role.grant', user.id, { role });
+  await ctx.reply(t(ctx.from.id, 'access.granted', {
+    name: user.firstName || t(ctx.from.id, 'common.unknown_user'),
+    id: user.id,
+    role: getAccessRoleLabel(ctx.from.id, role)
+  }));
+  await notifyRoleGranted(user.id, role);
+}
+
+// Revoke the role of the user named by ID or @username and notify them
+async function replyWithRoleRevoke(ctx, reference) {
+  const user = findUserByReference(reference);
+  if (!user) {
+    return ctx.reply(t(ctx.from.id, 'common.user_not_found'));
+  }
+  
+  const role = getAccessRole(user.id);
+  const result = await revokeAccessRole(user.id, ctx.from.id);
+  if (!result.success) {
+    return ctx.reply(`❌ ${result.error}`);
+  }
+  await recordAudit(ctx.from.id, 'role.revoke', user.id, { role });
+  
+  await ctx.reply(t(ctx.from.id, 'access.revoked', {
+    name: user.firstName || t(ctx.from.id, 'common.unknown_user'),
+    id: user.id,
+    role: getAccessRoleLabel(ctx.from.id, role)
+  }));
+  await notifyRoleRevoked(user.id, role);
+}
+
+// Grant Role Command (RayBen only)
+bot.command('grant', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('grant', ctx.from.id);
+  
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  if (args.length !== 3) {
+    return ctx.reply(t(ctx.from.id, 'access.grant_usage', { roles: GRANTABLE_ROLES.join('|') }));
   }
   
-  message += `\n💡 Use /promote <user_id> to promote a user to admin`;
-  message += `\n💡 Use /demote <user_id> to demote an admin`;
-  message += `\n📝 Use /note <user_id> <note> to add notes`;
+  await replyWithRoleGrant(ctx, args[1], args[2].toLowerCase());
+});
+
+// Revoke Role Command (RayBen only)
+bot.command('revoke', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('revoke', ctx.from.id);
+  
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  if (args.length !== 2) {
+    return ctx.reply(t(ctx.from.id, 'access.revoke_usage'));
+  }
   
-  ctx.replyWithMarkdownV2(message.replace(/([_*[\]()~`>#+=|{}.!-])/g, '\\$1'));
+  await replyWithRoleRevoke(ctx, args[1]);
 });
 
-// Promote User Command (RayBen only)
+// Promote User Command (RayBen only), kept as an alias for /grant <user> admin
 bot.command('promote', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('promote', ctx.from.id);
   
-  if (!isRayBen(ctx.from.id)) {
-    return ctx.reply('⛔️ Only RayBen445 can promote users to admin.');
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  if (args.length !== 2) {
+    return ctx.reply(t(ctx.from.id, 'access.promote_usage'));
   }
   
-  const args = ctx.message.text.split(' ');
+  await replyWithRoleGrant(ctx, args[1], 'admin');
+});
+
+// Demote Admin Command (RayBen only), kept as an alias for /revoke
+bot.command('demote', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('demote', ctx.from.id);
+  
+  const args = ctx.message.text.split(' ').filter(Boolean);
   if (args.length !== 2) {
-    return ctx.reply('Usage: /promote <user_id>\nExample: /promote 123456789');
+    return ctx.reply(t(ctx.from.id, 'access.demote_usage'));
+  }
+  
+  await replyWithRoleRevoke(ctx, args[1]);
+});
+
+// Support Tickets Command (support.handle)
+bot.command('tickets', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('tickets', ctx.from.id);
+  
+  const status = ctx.message.text.split(' ').filter(Boolean)[1];
+  if (status && !TICKET_STATUSES[status]) {
+    return ctx.reply(t(ctx.from.id, 'tickets.usage', { statuses: Object.keys(TICKET_STATUSES).join('|') }));
   }
+  const view = buildTicketListView(ctx.from.id, status);
+  ctx.reply(view.text, { reply_markup: { inline_keyboard: view.keyboard } });
+});
+
+// Reply To Ticket Command (support.handle)
+bot.command('reply', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('reply', ctx.from.id);
   
-  const targetUserId = parseInt(args[1]);
-  if (isNaN(targetUserId)) {
-    return ctx.reply('❌ Invalid user ID. Please provide a numeric user ID.');
+  const [, ticketId, ...words] = ctx.message.text.split(' ');
+  const text = words.join(' ').trim();
+  if (!ticketId || !text) {
+    return ctx.reply(t(ctx.from.id, 'tickets.reply_usage'));
   }
   
-  const result = await promoteToAdmin(targetUserId, ctx.from.id);
+  const ticket = tickets[ticketId.replace(/^#/, '')];
+  if (!ticket) {
+    return ctx.reply(t(ctx.from.id, 'tickets.reply_not_found', { ticket: ticketId }));
+  }
+  if (ticket.status === 'closed') {
+    return ctx.reply(t(ctx.from.id, 'tickets.reply_closed', { id: ticket.id }));
+  }
   
-  if (result.success) {
-    const user = users[targetUserId.toString()];
-    const userName = user.firstName || 'Unknown User';
-    ctx.reply(`✅ ${userName} (ID: ${targetUserId}) has been promoted to admin!`);
-    
-    // Notify the promoted user
-    try {
-      await bot.telegram.sendMessage(targetUserId, '🎉 Congratulations! You have been promoted to admin by RayBen445.');
-    } catch (error) {
-      console.log('Could not notify promoted user:', error.message);
-    }
-  } else {
-    ctx.reply(`❌ ${result.error}`);
+  try {
+    await bot.telegram.sendMessage(
+      ticket.userId,
+      tmd(ticket.userId, 'support.reply_received', { ticket: ticket.id, message: text }),
+      {
+        parse_mode: 'MarkdownV2',
+        reply_markup: { inline_keyboard: [[{ text: t(ticket.userId, 'support.reply_button', { ticket: ticket.id }), callback_data: `support_reply_${ticket.id}` }]] }
+      }
+    );
+  } catch (error) {
+    console.error(`❌ Error delivering reply to ticket #${ticket.id}:`, error.message);
+    return ctx.reply(t(ctx.from.id, 'tickets.reply_failed', { error: error.message }));
   }
+  
+  // Whoever answers an unassigned ticket takes it
+  if (!ticket.assignedTo) ticket.assignedTo = ctx.from.id;
+  await addTicketMessage(ticket, 'staff', ctx.from.id, text);
+  await recordAudit(ctx.from.id, 'ticket.reply', ticket.userId, { ticket: ticket.id, message: text });
+  ctx.reply(t(ctx.from.id, 'tickets.reply_delivered', { user: getTicketUserName(ticket.userId, ctx.from.id), id: ticket.id }));
 });
 
-// Demote Admin Command (RayBen only)
-bot.command('demote', async (ctx) => {
+// Rate Limits Command (ratelimits.manage)
+bot.command('ratelimit', async (ctx) => {
   await updateUserInfo(ctx);
-  await trackCommand('demote', ctx.from.id);
+  await trackCommand('ratelimit', ctx.from.id);
   
-  if (!isRayBen(ctx.from.id)) {
-    return ctx.reply('⛔️ Only RayBen445 can demote admins.');
-  }
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  const action = args[1];
   
-  const args = ctx.message.text.split(' ');
-  if (args.length !== 2) {
-    return ctx.reply('Usage: /demote <user_id>\nExample: /demote 123456789');
+  const userId = ctx.from.id;
+  
+  if (!action) {
+    return ctx.reply(buildRateLimitView(userId));
   }
   
-  const targetUserId = parseInt(args[1]);
-  if (isNaN(targetUserId)) {
-    return ctx.reply('❌ Invalid user ID. Please provide a numeric user ID.');
+  if (action === 'reload') {
+    await loadRateLimits();
+    await recordAudit(userId, 'ratelimit.reload');
+    return ctx.reply(t(userId, 'ratelimit.reloaded', { file: RATE_LIMITS_FILE }));
   }
   
-  const result = await demoteAdmin(targetUserId, ctx.from.id);
+  if (action === 'on' || action === 'off') {
+    rateLimitConfig.enabled = action === 'on';
+    await saveRateLimits();
+    await recordAudit(userId, `ratelimit.${action}`);
+    return ctx.reply(t(userId, `ratelimit.turned_${action}`));
+  }
   
-  if (result.success) {
-    const user = users[targetUserId.toString()];
-    const userName = user.firstName || 'Unknown User';
-    ctx.reply(`✅ ${userName} (ID: ${targetUserId}) has been demoted from admin.`);
-    
-    // Notify the demoted user
-    try {
-      await bot.telegram.sendMessage(targetUserId, '📉 You have been demoted from admin by RayBen445.');
-    } catch (error) {
-      console.log('Could not notify demoted user:', error.message);
+  if (action === 'clear') {
+    const user = args[2] && findUserByReference(args[2]);
+    if (!user) {
+      return ctx.reply(t(userId, 'ratelimit.clear_usage'));
     }
-  } else {
-    ctx.reply(`❌ ${result.error}`);
+    RATE_LIMIT_KINDS.forEach(kind => rateLimitBuckets[kind].user.delete(user.id));
+    rateLimitNotices.delete(user.id);
+    await recordAudit(userId, 'ratelimit.clear', user.id);
+    return ctx.reply(t(userId, 'ratelimit.cleared', { name: user.firstName || t(userId, 'common.unknown_user'), id: user.id }));
+  }
+  
+  const [, , kind, scope, perMinuteArg, burstArg] = args;
+  if (action !== 'set' || !RATE_LIMIT_KINDS.includes(kind) || !RATE_LIMIT_SCOPES.includes(scope)) {
+    return ctx.reply(t(userId, 'ratelimit.set_usage'));
+  }
+  const limit = rateLimitConfig.limits[kind][scope];
+  const perMinute = Number(perMinuteArg);
+  const burst = burstArg === undefined ? limit.burst : Number(burstArg);
+  if (!(perMinute > 0) || !Number.isInteger(burst) || burst < 1) {
+    return ctx.reply(t(userId, 'ratelimit.error_values'));
   }
+  rateLimitConfig.limits[kind][scope] = { perMinute, burst };
+  await saveRateLimits();
+  await recordAudit(userId, 'ratelimit.set', null, { kind, scope, perMinute, burst });
+  ctx.reply(t(userId, 'ratelimit.set_done', { kind, scope, perMinute, burst }));
 });
 
-// Admin Panel Command
-bot.command('admin', async (ctx) => {
+// Audit Log Command (audit.view, export is owner only)
+bot.command('auditlog', async (ctx) => {
   await updateUserInfo(ctx);
-  await trackCommand('admin', ctx.from.id);
-  if (!isAdmin(ctx.from.id)) {
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\n🛡️ This command is reserved for administrators only.'));
+  await trackCommand('auditlog', ctx.from.id);
+  
+  const args = ctx.message.text.split(' ').filter(Boolean).slice(1);
+  const exporting = args[0] === 'export';
+  const userId = ctx.from.id;
+  const filters = parseAuditFilters(exporting ? args.slice(1) : args, userId);
+  if (filters.error) return ctx.reply(filters.error);
+  
+  if (!exporting) {
+    return ctx.reply(buildAuditLogView(filters, userId));
   }
+  
+  // Exports cover all time unless days are given
+  const entries = filterAuditLog(filters);
+  if (entries.length === 0) {
+    return ctx.reply(t(userId, 'audit.export_empty'));
+  }
+  await recordAudit(userId, 'auditlog.export', null, { entries: entries.length, user: filters.userId, action: filters.action, days: filters.days });
+  await ctx.replyWithDocument(
+    { source: Buffer.from(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8'), filename: `audit-log-${getDayKey()}.jsonl` },
+    { caption: t(userId, 'audit.export_caption', { count: entries.length }) }
+  );
+});
 
-  const buttons = [
-    [{ text: '📊 View Stats', callback_data: 'admin_stats' }],
-    [{ text: '📢 Broadcast Message', callback_data: 'admin_broadcast' }],
-    [{ text: '🆘 Support Requests', callback_data: 'admin_support' }],
-    [{ text: '⚡ Command Stats', callback_data: 'admin_commands' }],
-    [{ text: '👑 Top Users', callback_data: 'admin_topusers' }],
-    [{ text: '🔧 API Status', callback_data: 'admin_api_status' }]
-  ];
+// Chat API Keys Command (owner only)
+bot.command('apikey', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('apikey', ctx.from.id);
+  
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  const action = args[1];
+  
+  const userId = ctx.from.id;
+  if (!action) {
+    return ctx.reply(buildChatApiKeysView(userId));
+  }
+  
+  if (action === 'create') {
+    const user = args[2] && findUserByReference(args[2]);
+    if (!user) {
+      return ctx.reply(t(userId, 'apikey.create_usage'));
+    }
+    // The key is shown once, so never post it where others can read it
+    if (ctx.chat.type !== 'private') {
+      return ctx.reply(t(userId, 'apikey.private_only'));
+    }
+    const name = args.slice(3).join(' ') || t(userId, 'apikey.default_name', { name: user.firstName || user.id });
+    const { key, secret } = await createChatApiKey(user.id, name, userId);
+    await recordAudit(userId, 'apikey.create', user.id, { key: key.id, name });
+    return ctx.reply(t(userId, 'apikey.created', { id: key.id, name, user: getTicketUserName(user.id, userId), secret }));
+  }
+  
+  const key = chatApiKeys[args[2]];
+  if (action !== 'revoke' || !key) {
+    return ctx.reply(t(userId, 'apikey.revoke_usage'));
+  }
+  delete chatApiKeys[key.id];
+  await saveChatApiKeys(key.id);
+  await recordAudit(userId, 'apikey.revoke', key.userId, { key: key.id, name: key.name });
+  ctx.reply(t(userId, 'apikey.revoked', { id: key.id, name: key.name }));
+});
+
+// Broadcast Command (broadcast.send)
+bot.command('broadcast', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('broadcast', ctx.from.id);
   
-  // Add user management buttons for RayBen445
-  if (isRayBen(ctx.from.id)) {
-    buttons.push([{ text: '👥 Manage Users', callback_data: 'admin_users' }]);
-    buttons.push([{ text: '📊 Full Analytics', callback_data: 'admin_analytics' }]);
+  const job = await createBroadcastJob(ctx);
+  if (typeof job === 'string') return ctx.reply(job);
+  
+  // The message as recipients will see it, then the audience and confirm buttons
+  try {
+    await sendBroadcastMessage(job, ctx.from.id);
+  } catch (error) {
+    console.error(`❌ Error previewing broadcast #${job.id}:`, error.message);
+    await cancelBroadcastJob(job);
+    return ctx.reply(t(ctx.from.id, 'broadcast.preview_failed', { error: error.message }));
   }
+  const preview = buildBroadcastPreview(job);
+  const reply = await ctx.reply(preview.text, { reply_markup: { inline_keyboard: preview.keyboard } });
+  job.previewMessageId = reply.message_id;
+  await saveBroadcastJobs(job.id);
+});
 
-  ctx.replyWithMarkdownV2(escapeMarkdownV2('🛡️ *Admin Control Panel*\n\n✨ Welcome to the administrative dashboard!'), {
+// Broadcast Jobs Command (broadcast.send)
+bot.command('broadcasts', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('broadcasts', ctx.from.id);
+  
+  const view = buildBroadcastListView(ctx.from.id);
+  ctx.reply(view.text, { reply_markup: { inline_keyboard: view.keyboard } });
+});
+
+// Admin Panel Command
+bot.command('admin', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('admin', ctx.from.id);
+  const userId = ctx.from.id;
+
+  ctx.replyWithMarkdownV2(tmd(userId, 'admin.panel'), {
     reply_markup: {
-      inline_keyboard: buttons
+      inline_keyboard: buildAdminPanelKeyboard(userId)
     }
   });
 });
@@ -932,20 +5346,7 @@ bot.command('*', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('unknown', ctx.from.id);
   const command = ctx.message.text.split(' ')[0];
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `❓ *Unknown Command*\n\n` +
-      `The command \`${command}\` is not recognized.\n\n` +
-      `🆘 *Available Commands:*\n` +
-      `• /help - View all commands\n` +
-      `• /about - Learn about Cool Shot AI\n` +
-      `• /buttons - Quick action menu\n` +
-      `• /games - Fun activities\n` +
-      `• /tools - Text utilities\n` +
-      `• /start - Welcome message\n\n` +
-      `💡 *Tip:* Use /help to see the complete command list!`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'unknown.text', { command }));
 });
 
 // ========== NEW NON-API FEATURES ==========
@@ -955,48 +5356,15 @@ bot.command('analytics', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('analytics', ctx.from.id);
   
-  if (!isAdmin(ctx.from.id)) {
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\nOnly administrators can view analytics.'));
+  // /analytics 7d and /analytics 30d show trends, anything else the all-time overview
+  const period = ctx.message.text.split(' ')[1];
+  const days = ANALYTICS_PERIODS[period];
+  if (period && !days) {
+    return ctx.reply(t(ctx.from.id, 'analytics.usage'));
   }
-  
-  const uptime = Math.floor((Date.now() - new Date(analytics.botStartTime)) / (1000 * 60 * 60 * 24));
-  const totalUsers = Object.keys(users).length;
-  const activeToday = Object.values(users).filter(u => {
-    const lastSeen = new Date(u.lastSeen);
-    const today = new Date();
-    return lastSeen.toDateString() === today.toDateString();
-  }).length;
-  
-  // Top commands
-  const topCommands = Object.entries(analytics.commandStats)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 5)
-    .map(([cmd, count], i) => `${i + 1}\\. /${escapeMarkdownV2(cmd)} \\(${count} uses\\)`)
-    .join('\\n');
-  
-  // Most active users
-  const topUsers = Object.entries(analytics.userActivity)
-    .sort(([,a], [,b]) => (b.messages + b.commands) - (a.messages + a.commands))
-    .slice(0, 5)
-    .map(([userId, activity], i) => {
-      const user = users[userId];
-      const name = user ? (user.firstName || 'Unknown') : 'Unknown';
-      const total = activity.messages + activity.commands;
-      return `${i + 1}\\. ${escapeMarkdownV2(name)} \\(${total} interactions\\)`;
-    })
-    .join('\\n');
-
-  ctx.replyWithMarkdownV2(
-    `📊 *Bot Analytics Dashboard*\\n\\n` +
-    `⏰ **Uptime:** ${uptime} days\\n` +
-    `👥 **Total Users:** ${totalUsers}\\n` +
-    `🎯 **Active Today:** ${activeToday}\\n` +
-    `💬 **Total Messages:** ${analytics.totalMessages}\\n` +
-    `⚡ **Total Commands:** ${analytics.totalCommands}\\n\\n` +
-    `🏆 **Top Commands:**\\n${topCommands || 'No data'}\\n\\n` +
-    `👑 **Most Active Users:**\\n${topUsers || 'No data'}\\n\\n` +
-    `✨ _Analytics powered by Cool Shot Systems_`
-  );
+  ctx.replyWithMarkdownV2(days ? buildAnalyticsTrendMessage(ctx.from.id, days) : buildAnalyticsOverviewMessage(ctx.from.id), {
+    reply_markup: { inline_keyboard: buildAnalyticsKeyboard(ctx.from.id) }
+  });
 });
 
 // User Activity Command (Admin Only)
@@ -1004,10 +5372,6 @@ bot.command('activity', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('activity', ctx.from.id);
   
-  if (!isAdmin(ctx.from.id)) {
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\nOnly administrators can view user activity.'));
-  }
-  
   const args = ctx.message.text.split(' ');
   if (args.length === 2) {
     // Show specific user activity
@@ -1016,28 +5380,25 @@ bot.command('activity', async (ctx) => {
     const activity = analytics.userActivity[targetUserId];
     
     if (!user) {
-      return ctx.reply('❌ User not found in database.');
+      return ctx.reply(t(ctx.from.id, 'common.user_not_found'));
     }
     
-    const totalActivity = activity ? (activity.messages + activity.commands) : 0;
     const messages = activity ? activity.messages : 0;
     const commands = activity ? activity.commands : 0;
     
-    ctx.replyWithMarkdownV2(
-      `👤 *User Activity Report*\\n\\n` +
-      `📛 **Name:** ${escapeMarkdownV2(user.firstName || 'Unknown')}\\n` +
-      `🆔 **ID:** \`${user.id}\`\\n` +
-      `👤 **Username:** ${user.username ? `@${escapeMarkdownV2(user.username)}` : 'No username'}\\n` +
-      `🛡️ **Admin:** ${user.isAdmin ? '✅ Yes' : '❌ No'}\\n\\n` +
-      `📊 **Activity Stats:**\\n` +
-      `💬 Messages: ${messages}\\n` +
-      `⚡ Commands: ${commands}\\n` +
-      `🎯 Total: ${totalActivity}\\n\\n` +
-      `📅 **Dates:**\\n` +
-      `🆕 First Seen: ${escapeMarkdownV2(new Date(user.firstSeen).toLocaleDateString())}\\n` +
-      `👁️ Last Seen: ${escapeMarkdownV2(new Date(user.lastSeen).toLocaleDateString())}\\n\\n` +
-      `📝 **Notes:** ${escapeMarkdownV2(user.notes || 'No notes')}`
-    );
+    ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'activity.report', {
+      name: user.firstName || t(ctx.from.id, 'common.unknown_user'),
+      id: user.id,
+      username: user.username ? `@${user.username}` : t(ctx.from.id, 'common.no_username'),
+      role: getAccessRoleLabel(ctx.from.id, getAccessRole(user.id)),
+      status: getModerationStatus(user, ctx.from.id),
+      messages,
+      commands,
+      total: messages + commands,
+      firstSeen: new Date(user.firstSeen).toLocaleDateString(),
+      lastSeen: new Date(user.lastSeen).toLocaleDateString(),
+      notes: user.notes || t(ctx.from.id, 'activity.no_notes')
+    }));
   } else {
     // Show general activity overview
     const recentUsers = Object.values(users)
@@ -1049,17 +5410,18 @@ bot.command('activity', async (ctx) => {
       .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
       .slice(0, 10);
     
-    let message = `📈 *Recent User Activity*\\n\\n`;
-    message += `🎯 **Active in last 3 days:** ${recentUsers.length}\\n\\n`;
+    let message = `${tmd(ctx.from.id, 'activity.recent_title', { count: recentUsers.length })}\n\n`;
     
     recentUsers.forEach((user, i) => {
-      const name = user.firstName || 'Unknown';
-      const username = user.username ? `@${user.username}` : 'No username';
-      const isAdminBadge = user.isAdmin ? ' 🛡️' : '';
-      message += `${i + 1}\\. ${escapeMarkdownV2(name)} \\(${escapeMarkdownV2(username)}\\)${isAdminBadge}\\n`;
+      message += `${tmd(ctx.from.id, 'activity.recent_line', {
+        index: i + 1,
+        name: user.firstName || t(ctx.from.id, 'common.unknown_user'),
+        username: user.username ? `@${user.username}` : t(ctx.from.id, 'common.no_username'),
+        badge: isAdmin(user.id) ? ' 🛡️' : ''
+      })}\n`;
     });
     
-    message += `\\n💡 Use \`/activity <user_id>\` for detailed user stats`;
+    message += `\n${tmd(ctx.from.id, 'activity.recent_hint')}`;
     
     ctx.replyWithMarkdownV2(message);
   }
@@ -1070,27 +5432,98 @@ bot.command('note', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('note', ctx.from.id);
   
-  if (!isRayBen(ctx.from.id)) {
-    return ctx.reply('⛔️ Only RayBen445 can manage user notes.');
-  }
-  
   const args = ctx.message.text.split(' ');
   if (args.length < 3) {
-    return ctx.reply('Usage: /note <user_id> <note_text>\nExample: /note 123456789 Frequent user, very helpful');
+    return ctx.reply(t(ctx.from.id, 'note.usage'));
   }
   
   const targetUserId = args[1];
   const noteText = args.slice(2).join(' ');
   
   if (!users[targetUserId]) {
-    return ctx.reply('❌ User not found in database.');
+    return ctx.reply(t(ctx.from.id, 'common.user_not_found'));
   }
   
   users[targetUserId].notes = noteText;
-  await saveUsers();
+  await saveUsers(targetUserId);
+  await recordAudit(ctx.from.id, 'user.note', users[targetUserId].id, { note: noteText });
+  
+  const userName = users[targetUserId].firstName || t(ctx.from.id, 'common.unknown_user');
+  ctx.reply(t(ctx.from.id, 'note.added', { name: userName, id: targetUserId, note: noteText }));
+});
+
+// Split /ban and /mute arguments into the user reference, reason and duration (the last word, e.g. 7d)
+function parseRestrictionArgs(text) {
+  const [, reference, ...rest] = text.split(' ').filter(Boolean);
+  const durationMs = rest.length > 0 ? parseDuration(rest[rest.length - 1]) : null;
+  if (durationMs) rest.pop();
+  return { reference, reason: rest.join(' '), durationMs };
+}
+
+// Ban or mute the user named in a /ban or /mute command
+async function replyWithRestriction(ctx, type) {
+  const userId = ctx.from.id;
+  const { reference, reason, durationMs } = parseRestrictionArgs(ctx.message.text);
+  if (!reference) {
+    return ctx.reply(t(userId, 'moderation.restrict_usage', { command: type }));
+  }
+  const user = findUserByReference(reference);
+  if (!user) {
+    return ctx.reply(t(userId, 'access.user_not_seen'));
+  }
   
-  const userName = users[targetUserId].firstName || 'Unknown User';
-  ctx.reply(`✅ Note added for ${userName} (ID: ${targetUserId})\n📝 "${noteText}"`);
+  const result = await restrictUser(user.id, type, reason, durationMs, userId);
+  if (!result.success) {
+    return ctx.reply(`❌ ${result.error}`);
+  }
+  await recordAudit(userId, `user.${type}`, user.id, { reason: result.restriction.reason, until: result.restriction.until });
+  ctx.reply(t(userId, type === 'ban' ? 'moderation.banned_done' : 'moderation.muted_done', {
+    user: getTicketUserName(user.id, userId),
+    id: user.id,
+    details: describeRestriction(result.restriction, userId)
+  }));
+}
+
+// Lift the ban or mute of the user named in an /unban or /unmute command
+async function replyWithLiftedRestriction(ctx, type) {
+  const userId = ctx.from.id;
+  const reference = ctx.message.text.split(' ').filter(Boolean)[1];
+  const command = type === 'ban' ? 'unban' : 'unmute';
+  const user = reference && findUserByReference(reference);
+  if (!user) {
+    return ctx.reply(t(userId, 'moderation.lift_usage', { command }));
+  }
+  const name = getTicketUserName(user.id, userId);
+  if (!await liftRestriction(user.id, type)) {
+    return ctx.reply(t(userId, type === 'ban' ? 'moderation.not_banned' : 'moderation.not_muted', { user: name }));
+  }
+  await recordAudit(userId, `user.${command}`, user.id);
+  ctx.reply(t(userId, type === 'ban' ? 'moderation.unbanned' : 'moderation.unmuted', { user: name, id: user.id }));
+}
+
+// Moderation Commands (users.moderate)
+bot.command('ban', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('ban', ctx.from.id);
+  await replyWithRestriction(ctx, 'ban');
+});
+
+bot.command('unban', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('unban', ctx.from.id);
+  await replyWithLiftedRestriction(ctx, 'ban');
+});
+
+bot.command('mute', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('mute', ctx.from.id);
+  await replyWithRestriction(ctx, 'mute');
+});
+
+bot.command('unmute', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('unmute', ctx.from.id);
+  await replyWithLiftedRestriction(ctx, 'mute');
 });
 
 // Text Utilities Commands
@@ -1098,20 +5531,7 @@ bot.command('tools', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('tools', ctx.from.id);
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      '🛠️ *Text Utilities Toolkit*\n\n' +
-      '📝 **Available Tools:**\n' +
-      '• `/count <text>` - Count words and characters\n' +
-      '• `/reverse <text>` - Reverse text\n' +
-      '• `/upper <text>` - Convert to UPPERCASE\n' +
-      '• `/lower <text>` - Convert to lowercase\n' +
-      '• `/title <text>` - Convert To Title Case\n' +
-      '• `/encode <text>` - Base64 encode text\n' +
-      '• `/decode <text>` - Base64 decode text\n\n' +
-      '💡 *Example:* `/count Hello World` will show character and word count'
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.menu'));
 });
 
 bot.command('count', async (ctx) => {
@@ -1120,24 +5540,14 @@ bot.command('count', async (ctx) => {
   
   const text = ctx.message.text.replace('/count ', '');
   if (!text || text === '/count') {
-    return ctx.reply('Usage: /count <text>\nExample: /count Hello World');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/count <text>', example: '/count Hello World' }));
   }
   
   const words = text.trim().split(/\s+/).length;
   const chars = text.length;
   const charsNoSpaces = text.replace(/\s/g, '').length;
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `📊 *Text Analysis Results*\n\n` +
-      `📝 **Text:** "${text}"\n\n` +
-      `🔢 **Statistics:**\n` +
-      `• Words: ${words}\n` +
-      `• Characters: ${chars}\n` +
-      `• Characters (no spaces): ${charsNoSpaces}\n\n` +
-      `✨ _Analysis by Cool Shot Systems_`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.count_result', { text, words, chars, charsNoSpaces }));
 });
 
 bot.command('reverse', async (ctx) => {
@@ -1146,18 +5556,11 @@ bot.command('reverse', async (ctx) => {
   
   const text = ctx.message.text.replace('/reverse ', '');
   if (!text || text === '/reverse') {
-    return ctx.reply('Usage: /reverse <text>\nExample: /reverse Hello World');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/reverse <text>', example: '/reverse Hello World' }));
   }
   
   const reversed = text.split('').reverse().join('');
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `🔄 *Text Reversal*\n\n` +
-      `📝 **Original:** "${text}"\n` +
-      `🔄 **Reversed:** "${reversed}"\n\n` +
-      `✨ _Powered by Cool Shot Systems_`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.reverse_result', { text, result: reversed }));
 });
 
 bot.command('upper', async (ctx) => {
@@ -1166,17 +5569,10 @@ bot.command('upper', async (ctx) => {
   
   const text = ctx.message.text.replace('/upper ', '');
   if (!text || text === '/upper') {
-    return ctx.reply('Usage: /upper <text>\nExample: /upper hello world');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/upper <text>', example: '/upper hello world' }));
   }
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `🔤 *UPPERCASE CONVERSION*\n\n` +
-      `📝 **Original:** "${text}"\n` +
-      `🔤 **UPPERCASE:** "${text.toUpperCase()}"\n\n` +
-      `✨ _Powered by Cool Shot Systems_`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.upper_result', { text, result: text.toUpperCase() }));
 });
 
 bot.command('lower', async (ctx) => {
@@ -1185,17 +5581,10 @@ bot.command('lower', async (ctx) => {
   
   const text = ctx.message.text.replace('/lower ', '');
   if (!text || text === '/lower') {
-    return ctx.reply('Usage: /lower <text>\nExample: /lower HELLO WORLD');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/lower <text>', example: '/lower HELLO WORLD' }));
   }
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `🔡 *lowercase conversion*\n\n` +
-      `📝 **Original:** "${text}"\n` +
-      `🔡 **lowercase:** "${text.toLowerCase()}"\n\n` +
-      `✨ _Powered by Cool Shot Systems_`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.lower_result', { text, result: text.toLowerCase() }));
 });
 
 bot.command('title', async (ctx) => {
@@ -1204,21 +5593,14 @@ bot.command('title', async (ctx) => {
   
   const text = ctx.message.text.replace('/title ', '');
   if (!text || text === '/title') {
-    return ctx.reply('Usage: /title <text>\nExample: /title hello world');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/title <text>', example: '/title hello world' }));
   }
   
   const titleCase = text.replace(/\w\S*/g, (txt) => 
     txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
   );
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `📄 *Title Case Conversion*\n\n` +
-      `📝 **Original:** "${text}"\n` +
-      `📄 **Title Case:** "${titleCase}"\n\n` +
-      `✨ _Powered by Cool Shot Systems_`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.title_result', { text, result: titleCase }));
 });
 
 bot.command('encode', async (ctx) => {
@@ -1227,21 +5609,14 @@ bot.command('encode', async (ctx) => {
   
   const text = ctx.message.text.replace('/encode ', '');
   if (!text || text === '/encode') {
-    return ctx.reply('Usage: /encode <text>\nExample: /encode Hello World');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/encode <text>', example: '/encode Hello World' }));
   }
   
   try {
     const encoded = Buffer.from(text, 'utf8').toString('base64');
-    ctx.replyWithMarkdownV2(
-      escapeMarkdownV2(
-        `🔐 *Base64 Encoding*\n\n` +
-        `📝 **Original:** "${text}"\n` +
-        `🔐 **Encoded:** \`${encoded}\`\n\n` +
-        `✨ _Powered by Cool Shot Systems_`
-      )
-    );
+    ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.encode_result', { text, result: encoded }));
   } catch (error) {
-    ctx.reply('❌ Encoding failed. Please check your input.');
+    ctx.reply(t(ctx.from.id, 'tools.encode_failed'));
   }
 });
 
@@ -1251,21 +5626,14 @@ bot.command('decode', async (ctx) => {
   
   const text = ctx.message.text.replace('/decode ', '');
   if (!text || text === '/decode') {
-    return ctx.reply('Usage: /decode <base64_text>\nExample: /decode SGVsbG8gV29ybGQ=');
+    return ctx.reply(t(ctx.from.id, 'tools.usage', { usage: '/decode <base64_text>', example: '/decode SGVsbG8gV29ybGQ=' }));
   }
   
   try {
     const decoded = Buffer.from(text, 'base64').toString('utf8');
-    ctx.replyWithMarkdownV2(
-      escapeMarkdownV2(
-        `🔓 *Base64 Decoding*\n\n` +
-        `🔐 **Encoded:** \`${text}\`\n` +
-        `🔓 **Decoded:** "${decoded}"\n\n` +
-        `✨ _Powered by Cool Shot Systems_`
-      )
-    );
+    ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'tools.decode_result', { text, result: decoded }));
   } catch (error) {
-    ctx.reply('❌ Decoding failed. Please provide valid Base64 text.');
+    ctx.reply(t(ctx.from.id, 'tools.decode_failed'));
   }
 });
 
@@ -1274,20 +5642,7 @@ bot.command('games', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('games', ctx.from.id);
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      '🎮 *Cool Shot Games & Fun*\n\n' +
-      '🎲 **Available Games:**\n' +
-      '• `/dice` - Roll a dice (1-6)\n' +
-      '• `/coin` - Flip a coin\n' +
-      '• `/number` - Random number (1-100)\n' +
-      '• `/8ball <question>` - Magic 8-ball\n' +
-      '• `/quote` - Get an inspirational quote\n' +
-      '• `/joke` - Random joke\n' +
-      '• `/fact` - Random fun fact\n\n' +
-      '🎯 *Example:* `/8ball Will I be successful?`'
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.menu'));
 });
 
 bot.command('dice', async (ctx) => {
@@ -1297,27 +5652,17 @@ bot.command('dice', async (ctx) => {
   const roll = Math.floor(Math.random() * 6) + 1;
   const diceEmoji = ['⚀', '⚁', '⚂', '⚃', '⚄', '⚅'][roll - 1];
   
-  ctx.replyWithMarkdownV2(
-    escapeMarkdownV2(
-      `🎲 *Dice Roll*\n\n` +
-      `${diceEmoji} **You rolled:** ${roll}\n\n` +
-      `🎯 _Good luck!_`
-    )
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.dice', { emoji: diceEmoji, roll }));
 });
 
 bot.command('coin', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('coin', ctx.from.id);
   
-  const result = Math.random() < 0.5 ? 'Heads' : 'Tails';
-  const emoji = result === 'Heads' ? '🙂' : '🔄';
+  const result = Math.random() < 0.5 ? 'heads' : 'tails';
+  const emoji = result === 'heads' ? '🙂' : '🔄';
   
-  ctx.replyWithMarkdownV2(
-    `🪙 *Coin Flip*\\n\\n` +
-    `${emoji} **Result:** ${result}\\n\\n` +
-    `🎯 _Fate has decided\\!_`
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.coin', { emoji, result: t(ctx.from.id, `games.${result}`) }));
 });
 
 bot.command('number', async (ctx) => {
@@ -1326,12 +5671,7 @@ bot.command('number', async (ctx) => {
   
   const number = Math.floor(Math.random() * 100) + 1;
   
-  ctx.replyWithMarkdownV2(
-    `🔢 *Random Number*\\n\\n` +
-    `🎯 **Your number:** ${number}\\n` +
-    `📊 **Range:** 1 \\- 100\\n\\n` +
-    `✨ _Generated by Cool Shot Systems_`
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.number', { number }));
 });
 
 bot.command('8ball', async (ctx) => {
@@ -1340,27 +5680,14 @@ bot.command('8ball', async (ctx) => {
   
   const question = ctx.message.text.replace('/8ball ', '');
   if (!question || question === '/8ball') {
-    return ctx.reply('Usage: /8ball <question>\nExample: /8ball Will I be successful?');
+    return ctx.reply(t(ctx.from.id, 'games.8ball_usage'));
   }
   
-  const responses = [
-    'It is certain', 'Reply hazy, try again', 'Don\'t count on it', 
-    'It is decidedly so', 'Ask again later', 'My reply is no',
-    'Without a doubt', 'Better not tell you now', 'My sources say no',
-    'Yes definitely', 'Cannot predict now', 'Outlook not so good',
-    'You may rely on it', 'Concentrate and ask again', 'Very doubtful',
-    'As I see it, yes', 'Most likely', 'Outlook good',
-    'Signs point to yes', 'Yes'
-  ];
-  
+  // One answer per line in the catalog
+  const responses = t(ctx.from.id, 'games.8ball_answers').split('\n');
   const answer = responses[Math.floor(Math.random() * responses.length)];
   
-  ctx.replyWithMarkdownV2(
-    `🎱 *Magic 8\\-Ball*\\n\\n` +
-    `❓ **Question:** "${escapeMarkdownV2(question)}"\\n` +
-    `🔮 **Answer:** *${escapeMarkdownV2(answer)}*\\n\\n` +
-    `✨ _The magic 8\\-ball has spoken\\!_`
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.8ball', { question, answer }));
 });
 
 bot.command('quote', async (ctx) => {
@@ -1382,12 +5709,7 @@ bot.command('quote', async (ctx) => {
   
   const quote = quotes[Math.floor(Math.random() * quotes.length)];
   
-  ctx.replyWithMarkdownV2(
-    `💎 *Inspirational Quote*\\n\\n` +
-    `"${escapeMarkdownV2(quote.text)}"\\n\\n` +
-    `👤 *— ${escapeMarkdownV2(quote.author)}*\\n\\n` +
-    `✨ _Inspiration by Cool Shot Systems_`
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.quote', { quote: quote.text, author: quote.author }));
 });
 
 bot.command('joke', async (ctx) => {
@@ -1409,11 +5731,7 @@ bot.command('joke', async (ctx) => {
   
   const joke = jokes[Math.floor(Math.random() * jokes.length)];
   
-  ctx.replyWithMarkdownV2(
-    `😂 *Random Joke*\\n\\n` +
-    `🎭 ${escapeMarkdownV2(joke)}\\n\\n` +
-    `😄 _Hope that made you smile\\!_`
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.joke', { joke }));
 });
 
 bot.command('fact', async (ctx) => {
@@ -1435,47 +5753,37 @@ bot.command('fact', async (ctx) => {
   
   const fact = facts[Math.floor(Math.random() * facts.length)];
   
-  ctx.replyWithMarkdownV2(
-    `🧠 *Fun Fact*\\n\\n` +
-    `💡 ${escapeMarkdownV2(fact)}\\n\\n` +
-    `🤓 _Learn something new every day\\!_`
-  );
+  ctx.replyWithMarkdownV2(tmd(ctx.from.id, 'games.fact', { fact }));
 });
 
-// Bot Stats Command (Enhanced)
-bot.command('stats', async (ctx) => {
-  await updateUserInfo(ctx);
-  await trackCommand('stats', ctx.from.id);
-  
+// Build the /stats message for a user in their language
+function buildStatsMessage(userId) {
   const uptime = Math.floor((Date.now() - new Date(analytics.botStartTime)) / (1000 * 60 * 60));
-  const uptimeDays = Math.floor(uptime / 24);
-  const uptimeHours = uptime % 24;
-  
-  const totalUsers = Object.keys(users).length;
-  const totalAdmins = getAdminUsers().length;
   const activeToday = Object.values(users).filter(u => {
     const lastSeen = new Date(u.lastSeen);
     const today = new Date();
     return lastSeen.toDateString() === today.toDateString();
   }).length;
+  const userLang = getUserLanguage(userId);
   
-  const userRole = userRoles[ctx.from.id] || 'Brain Master';
-  const userLang = userLanguages[ctx.from.id] || 'en';
-  const langLabel = languages.find(l => l.code === userLang)?.label || '🇬🇧 English';
-  
-  ctx.replyWithMarkdownV2(
-    `📊 *Cool Shot AI Statistics*\\n\\n` +
-    `⏰ **Bot Uptime:** ${uptimeDays}d ${uptimeHours}h\\n` +
-    `👥 **Total Users:** ${totalUsers}\\n` +
-    `🛡️ **Administrators:** ${totalAdmins}\\n` +
-    `🎯 **Active Today:** ${activeToday}\\n` +
-    `💬 **Total Messages:** ${analytics.totalMessages}\\n` +
-    `⚡ **Total Commands:** ${analytics.totalCommands}\\n\\n` +
-    `👤 **Your Settings:**\\n` +
-    `🧠 Role: ${escapeMarkdownV2(userRole)}\\n` +
-    `🌐 Language: ${escapeMarkdownV2(langLabel)}\\n\\n` +
-    `✨ _Powered by Cool Shot Systems_`
-  );
+  return tmd(userId, 'stats.text', {
+    days: Math.floor(uptime / 24),
+    hours: uptime % 24,
+    users: Object.keys(users).length,
+    admins: getAdminUsers().length,
+    activeToday,
+    messages: analytics.totalMessages,
+    commands: analytics.totalCommands,
+    role: getUserRoleLabel(userId),
+    language: languages.find(l => l.code === userLang)?.label || '🇬🇧 English'
+  });
+}
+
+// Bot Stats Command (Enhanced)
+bot.command('stats', async (ctx) => {
+  await updateUserInfo(ctx);
+  await trackCommand('stats', ctx.from.id);
+  ctx.replyWithMarkdownV2(buildStatsMessage(ctx.from.id));
 });
 
 // Command Usage Statistics (Admin Only)
@@ -1483,28 +5791,23 @@ bot.command('commands', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('commands', ctx.from.id);
   
-  if (!isAdmin(ctx.from.id)) {
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\nOnly administrators can view command statistics.'));
-  }
-  
   const sortedCommands = Object.entries(analytics.commandStats)
     .sort(([,a], [,b]) => b - a)
     .slice(0, 15);
   
-  let message = `⚡ *Command Usage Statistics*\\n\\n`;
-  message += `📊 **Total Commands Executed:** ${analytics.totalCommands}\\n\\n`;
-  message += `🏆 **Top Commands:**\\n`;
+  const userId = ctx.from.id;
+  let message = `${tmd(userId, 'admin.commands_title', { total: analytics.totalCommands })}\n`;
   
   sortedCommands.forEach(([command, count], index) => {
     const percentage = ((count / analytics.totalCommands) * 100).toFixed(1);
-    message += `${index + 1}\\. /${escapeMarkdownV2(command)} \\- ${count} uses \\(${percentage}%\\)\\n`;
+    message += `${tmd(userId, 'admin.commands_line', { index: index + 1, command, count, percentage })}\n`;
   });
   
   if (sortedCommands.length === 0) {
-    message += `No command data available yet\\.`;
+    message += tmd(userId, 'admin.commands_empty');
   }
   
-  message += `\\n✨ _Analytics by Cool Shot Systems_`;
+  message += `\n${tmd(userId, 'admin.commands_footer')}`;
   
   ctx.replyWithMarkdownV2(message);
 });
@@ -1514,10 +5817,6 @@ bot.command('topusers', async (ctx) => {
   await updateUserInfo(ctx);
   await trackCommand('topusers', ctx.from.id);
   
-  if (!isAdmin(ctx.from.id)) {
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('⛔️ *Access Denied*\n\nOnly administrators can view top users.'));
-  }
-  
   const userStats = Object.entries(analytics.userActivity)
     .map(([userId, activity]) => ({
       user: users[userId],
@@ -1529,21 +5828,26 @@ bot.command('topusers', async (ctx) => {
     .sort((a, b) => b.total - a.total)
     .slice(0, 10);
   
-  let message = `👑 *Most Active Users*\\n\\n`;
+  const viewerId = ctx.from.id;
+  let message = `${tmd(viewerId, 'admin.topusers_title')}\n\n`;
   
   userStats.forEach((entry, index) => {
-    const name = entry.user.firstName || 'Unknown';
-    const username = entry.user.username ? `@${entry.user.username}` : 'No username';
-    const isAdminBadge = entry.user.isAdmin ? ' 🛡️' : '';
-    message += `${index + 1}\\. ${escapeMarkdownV2(name)} \\(${escapeMarkdownV2(username)}\\)${isAdminBadge}\\n`;
-    message += `   💬 ${entry.messages} msgs \\| ⚡ ${entry.commands} cmds \\| 🎯 ${entry.total} total\\n\\n`;
+    message += `${tmd(viewerId, 'admin.topusers_rank', {
+      index: index + 1,
+      name: entry.user.firstName || t(viewerId, 'common.unknown_user'),
+      username: entry.user.username ? `@${entry.user.username}` : t(viewerId, 'common.no_username'),
+      badge: isAdmin(entry.user.id) ? ' 🛡️' : '',
+      messages: entry.messages,
+      commands: entry.commands,
+      total: entry.total
+    })}\n\n`;
   });
   
   if (userStats.length === 0) {
-    message += `No user activity data available yet\\.`;
+    message += `${tmd(viewerId, 'admin.topusers_empty')}\n\n`;
   }
   
-  message += `✨ _Rankings by Cool Shot Systems_`;
+  message += tmd(viewerId, 'admin.topusers_footer');
   
   ctx.replyWithMarkdownV2(message);
 });
@@ -1557,321 +5861,286 @@ bot.on('callback_query', async (ctx) => {
   // Role selection
   if (data.startsWith('role_')) {
     const role = data.replace('role_', '');
-    userRoles[userId] = role;
-    await ctx.editMessageText(
-      escapeMarkdownV2(
-        `🧠 *Role Updated Successfully*\n\n` +
-        `✅ Your new expert role: *${role}*\n\n` +
-        `🚀 AI responses will now be tailored to this expertise!`
-      ), 
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery(`🎯 Role set to ${role}`);
+    const persona = role.startsWith(PERSONA_ROLE_PREFIX) && personas[role.slice(PERSONA_ROLE_PREFIX.length)];
+    if (!roleDefinitions[role] && !(persona && canUsePersona(persona, userId))) {
+      await ctx.answerCbQuery(t(userId, 'role.unavailable'), { show_alert: true });
+      return;
+    }
+    await setUserRole(userId, role);
+    const roleName = getRoleDefinition(role, userId).name;
+    await ctx.editMessageText(tmd(userId, 'role.updated', { role: roleName }), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'role.toast', { role: roleName }));
+  }
+  // Automatic language detection
+  else if (data === 'lang_auto') {
+    // Confirm in the language the menu was shown in
+    const confirmation = tmd(userId, 'lang.auto_enabled');
+    const toast = t(userId, 'lang.auto_toast');
+    await clearUserLanguage(userId);
+    await ctx.editMessageText(confirmation, { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(toast);
+  }
+  else if (data.startsWith('langkeep_')) {
+    await ctx.editMessageReplyMarkup(undefined);
+    ctx.answerCbQuery(translate(data.replace('langkeep_', ''), 'lang.suggest_kept'));
   }
   // Language selection
   else if (data.startsWith('lang_')) {
     const lang = data.replace('lang_', '');
-    userLanguages[userId] = lang;
+    await setUserLanguage(userId, lang);
     const label = languages.find(l => l.code === lang)?.label || lang;
-    await ctx.editMessageText(
-      escapeMarkdownV2(
-        `🌍 *Language Updated Successfully*\n\n` +
-        `✅ Your new language: ${label}\n\n` +
-        `🗣️ AI responses will now be in your selected language!`
-      ), 
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery(`🌐 Language set to ${label}`);
+    await ctx.editMessageText(tmd(userId, 'lang.updated', { language: label }), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'lang.toast', { language: label }));
   }
   // Quick Buttons
-  else if (data === 'show_role') {
-    await ctx.editMessageText(escapeMarkdownV2('🧠 *Choose Your Expert Role*\n\n💡 Select a role to customize AI responses:'), {
-      reply_markup: {
-        inline_keyboard: chunkArray(roles, 4).map(row =>
-          row.map(r => ({ text: r, callback_data: `role_${r}` }))
-        )
-      },
+  else if (data === 'show_role' || data.startsWith('rolecat_') || data.startsWith('rolesearch_')) {
+    let view;
+    if (data.startsWith('rolecat_')) {
+      const [, categoryId, page] = data.match(/^rolecat_(.+)_(\d+)$/) || [];
+      view = buildRoleCategoryView(userId, categoryId, parseInt(page) || 0);
+    } else if (data.startsWith('rolesearch_')) {
+      const [, page, query] = data.match(/^rolesearch_(\d+)_(.*)$/) || [];
+      view = buildRoleSearchView(userId, query || '', parseInt(page) || 0);
+    } else {
+      view = buildRoleMenu(userId);
+    }
+    await ctx.editMessageText(view.text, {
+      reply_markup: { inline_keyboard: view.keyboard },
       parse_mode: 'MarkdownV2'
     });
     ctx.answerCbQuery();
   }
+  else if (data === 'noop') {
+    ctx.answerCbQuery();
+  }
   else if (data === 'show_lang') {
-    await ctx.editMessageText(escapeMarkdownV2('🌍 *Choose Your Language*\n\n🗣️ Select your preferred language for responses:'), {
-      reply_markup: {
-        inline_keyboard: chunkArray(languages, 3).map(row =>
-          row.map(l => ({ text: l.label, callback_data: `lang_${l.code}` }))
-        )
-      },
+    await ctx.editMessageText(tmd(userId, 'lang.menu'), {
+      reply_markup: { inline_keyboard: buildLanguageKeyboard(userId) },
       parse_mode: 'MarkdownV2'
     });
     ctx.answerCbQuery();
   }
   else if (data === 'show_about') {
-    await ctx.editMessageText(
-      escapeMarkdownV2(
-        "ℹ️ *About Cool Shot AI*\n\n" +
-        "🤖 Developed by *Cool Shot Systems*\n💡 Multi-role intelligent assistant powered by AI endpoints\n🌐 15+ languages supported\n🧠 100+ Knowledge Roles\n\n" +
-        "🎓 Use /role and /lang\n🛠️ Use /buttons for quick settings\n🔄 Use /reset to reset settings\n🆘 Use /support <your message> for support"
-      ),
-      { parse_mode: 'MarkdownV2' }
-    );
+    await ctx.editMessageText(tmd(userId, 'about.text'), { parse_mode: 'MarkdownV2' });
     ctx.answerCbQuery();
   }
   else if (data === 'do_reset') {
-    delete userRoles[userId];
-    delete userLanguages[userId];
-    await ctx.editMessageText(
-      escapeMarkdownV2(
-        '🔄 *Settings Reset Complete*\n\n' +
-        '✅ Role: Default (Brain Master)\n' +
-        '✅ Language: Default (English)\n\n' +
-        '💡 Use /role and /lang to customize again!'
-      ),
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('✨ Settings reset successfully!');
+    await resetUserPreferences(userId);
+    clearConversation(userId);
+    await ctx.editMessageText(tmd(userId, 'reset.done', { role: DEFAULT_ROLE }), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'reset.toast'));
+  }
+  else if (data.startsWith('support_reply_')) {
+    const ticket = tickets[data.replace('support_reply_', '')];
+    if (!ticket || String(ticket.userId) !== String(userId) || ticket.status === 'closed') {
+      await ctx.answerCbQuery(t(userId, 'support.ticket_unavailable'), { show_alert: true });
+      return;
+    }
+    supportState[userId] = ticket.id;
+    await ctx.answerCbQuery(t(userId, 'support.mode_toast'));
+    await ctx.replyWithMarkdownV2(tmd(userId, 'support.followup_mode', { ticket: ticket.id }));
   }
   else if (data === 'start_support') {
     supportState[userId] = true;
-    await ctx.answerCbQuery('🆘 Support mode activated!');
-    await ctx.editMessageText(
-      escapeMarkdownV2(
-        '🆘 *Support Request Mode*\n\n' +
-        '💬 Please type your support query. Your message will be sent directly to our admin team!\n\n' +
-        '⚡ *Response Time:* Typically within a few hours'
-      ),
-      { parse_mode: 'MarkdownV2' }
+    await ctx.answerCbQuery(t(userId, 'support.mode_toast'));
+    await ctx.editMessageText(tmd(userId, 'support.mode'), { parse_mode: 'MarkdownV2' });
+  }
+  else if (data === 'answer_document') {
+    const entry = longAnswers[userId];
+    if (!entry) {
+      await ctx.answerCbQuery(t(userId, 'ai.document_unavailable'), { show_alert: true });
+      return;
+    }
+    await ctx.answerCbQuery(t(userId, 'ai.document_preparing'));
+    await ctx.replyWithDocument(
+      { source: Buffer.from(buildAnswerDocument(entry), 'utf8'), filename: `cool-shot-ai-answer-${entry.createdAt.slice(0, 10)}.md` },
+      { caption: t(userId, 'ai.document_caption') }
     );
   }
   else if (data === 'ping_cmd') {
-    await ctx.answerCbQuery('🏓 System online!');
-    await ctx.editMessageText(escapeMarkdownV2('🏓 *Cool Shot AI Status: ONLINE*\n\n✅ All systems operational!'), { parse_mode: 'MarkdownV2' });
+    await ctx.answerCbQuery(t(userId, 'ping.toast'));
+    await ctx.editMessageText(tmd(userId, 'ping.online'), { parse_mode: 'MarkdownV2' });
   }
   else if (data === 'help_cmd') {
     await ctx.answerCbQuery();
-    await ctx.replyWithMarkdownV2(
-      escapeMarkdownV2(
-        "🆘 *Cool Shot AI Help*\n\n" +
-        "• Use /start to see welcome\n• /role to pick your expert mode\n• /lang for language\n• /about for info\n• /reset for a fresh start\n• /buttons for quick menu\n• /games for fun activities\n• /tools for text utilities\n• /stats for bot statistics\n• /support <your message> if you need help\n• /ping to check bot status"
-      )
-    );
+    await ctx.replyWithMarkdownV2(tmd(userId, 'help.text'));
   }
   // New feature callbacks
   else if (data === 'show_games') {
-    await ctx.editMessageText(
-      '🎮 *Cool Shot Games & Fun*\\n\\n' +
-      '🎲 **Available Games:**\\n' +
-      '• `/dice` \\- Roll a dice \\(1\\-6\\)\\n' +
-      '• `/coin` \\- Flip a coin\\n' +
-      '• `/number` \\- Random number \\(1\\-100\\)\\n' +
-      '• `/8ball <question>` \\- Magic 8\\-ball\\n' +
-      '• `/quote` \\- Get an inspirational quote\\n' +
-      '• `/joke` \\- Random joke\\n' +
-      '• `/fact` \\- Random fun fact\\n\\n' +
-      '🎯 *Example:* `/8ball Will I be successful?`',
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('🎮 Games menu loaded');
+    await ctx.editMessageText(tmd(userId, 'games.menu'), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'games.toast'));
   }
   else if (data === 'show_tools') {
-    await ctx.editMessageText(
-      '🛠️ *Text Utilities Toolkit*\\n\\n' +
-      '📝 **Available Tools:**\\n' +
-      '• `/count <text>` \\- Count words and characters\\n' +
-      '• `/reverse <text>` \\- Reverse text\\n' +
-      '• `/upper <text>` \\- Convert to UPPERCASE\\n' +
-      '• `/lower <text>` \\- Convert to lowercase\\n' +
-      '• `/title <text>` \\- Convert To Title Case\\n' +
-      '• `/encode <text>` \\- Base64 encode text\\n' +
-      '• `/decode <text>` \\- Base64 decode text\\n\\n' +
-      '💡 *Example:* `/count Hello World` will show character and word count',
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('🛠️ Text tools loaded');
+    await ctx.editMessageText(tmd(userId, 'tools.menu'), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'tools.toast'));
   }
   else if (data === 'show_stats') {
-    const uptime = Math.floor((Date.now() - new Date(analytics.botStartTime)) / (1000 * 60 * 60));
-    const uptimeDays = Math.floor(uptime / 24);
-    const uptimeHours = uptime % 24;
-    
-    const totalUsers = Object.keys(users).length;
-    const totalAdmins = getAdminUsers().length;
-    const activeToday = Object.values(users).filter(u => {
-      const lastSeen = new Date(u.lastSeen);
-      const today = new Date();
-      return lastSeen.toDateString() === today.toDateString();
-    }).length;
-    
-    const userRole = userRoles[ctx.from.id] || 'Brain Master';
-    const userLang = userLanguages[ctx.from.id] || 'en';
-    const langLabel = languages.find(l => l.code === userLang)?.label || '🇬🇧 English';
-    
-    await ctx.editMessageText(
-      `📊 *Cool Shot AI Statistics*\\n\\n` +
-      `⏰ **Bot Uptime:** ${uptimeDays}d ${uptimeHours}h\\n` +
-      `👥 **Total Users:** ${totalUsers}\\n` +
-      `🛡️ **Administrators:** ${totalAdmins}\\n` +
-      `🎯 **Active Today:** ${activeToday}\\n` +
-      `💬 **Total Messages:** ${analytics.totalMessages}\\n` +
-      `⚡ **Total Commands:** ${analytics.totalCommands}\\n\\n` +
-      `👤 **Your Settings:**\\n` +
-      `🧠 Role: ${escapeMarkdownV2(userRole)}\\n` +
-      `🌐 Language: ${escapeMarkdownV2(langLabel)}\\n\\n` +
-      `✨ _Powered by Cool Shot Systems_`,
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('📊 Stats updated');
+    await ctx.editMessageText(buildStatsMessage(userId), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'stats.toast'));
   }
   // Admin Panel
   else if (data === 'show_admin') {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Access denied - Admins only!', { show_alert: true });
-      return;
-    }
-    
-    const buttons = [
-      [{ text: '📊 View Stats', callback_data: 'admin_stats' }],
-      [{ text: '📢 Broadcast Message', callback_data: 'admin_broadcast' }],
-      [{ text: '🆘 Support Requests', callback_data: 'admin_support' }],
-      [{ text: '🔧 API Status', callback_data: 'admin_api_status' }]
-    ];
-    
-    // Add user management for RayBen445
-    if (isRayBen(ctx.from.id)) {
-      buttons.push([{ text: '👥 Manage Users', callback_data: 'admin_users' }]);
-    }
-    
-    await ctx.editMessageText('🛡️ *Admin Control Panel*\\n\\n✨ Welcome to the administrative dashboard\\!', {
+    await ctx.editMessageText(tmd(userId, 'admin.panel'), {
       reply_markup: {
-        inline_keyboard: buttons
+        inline_keyboard: buildAdminPanelKeyboard(userId)
       },
       parse_mode: 'MarkdownV2'
     });
-    ctx.answerCbQuery('🛡️ Admin panel loaded');
+    ctx.answerCbQuery(t(userId, 'admin.panel_toast'));
   }
   // Admin Stats
   else if (data === 'admin_stats') {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Access denied - Admins only!', { show_alert: true });
-      return;
-    }
     const totalUsers = Object.keys(users).length;
     const adminCount = getAdminUsers().length;
     const rolesSet = Object.keys(userRoles).length;
     const langsSet = Object.keys(userLanguages).length;
     
     await ctx.editMessageText(
-      `📊 *System Statistics*\\n\\n` +
-      `👥 **Total Users:** ${totalUsers}\\n` +
-      `🛡️ **Administrators:** ${adminCount}\\n` +
-      `🧠 **Custom Roles Set:** ${rolesSet}\\n` +
-      `🌍 **Languages Set:** ${langsSet}\\n\\n` +
-      `✨ *System Status:* All operational`,
+      tmd(userId, 'admin.stats', { users: totalUsers, admins: adminCount, roles: rolesSet, languages: langsSet }),
       { parse_mode: 'MarkdownV2' }
     );
-    ctx.answerCbQuery('📊 Stats updated');
+    ctx.answerCbQuery(t(userId, 'stats.toast'));
   }
   // Admin Users List (RayBen only)
   else if (data === 'admin_users') {
-    if (!isRayBen(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Only RayBen445 can view user list.', { show_alert: true });
-      return;
-    }
-    
     const userList = Object.values(users);
     const totalUsers = userList.length;
-    const adminUsers = userList.filter(user => user.isAdmin);
+    const staffUsers = getStaffUsers();
+    
+    const describe = user => ({
+      name: user.firstName || t(userId, 'common.unknown_user'),
+      username: user.username ? `@${user.username}` : t(userId, 'common.no_username')
+    });
     
-    let message = `👥 User Database (${totalUsers} total)\n\n`;
-    message += `🛡️ Admins (${adminUsers.length}):\n`;
+    let message = `${tmd(userId, 'users.panel_title', { count: totalUsers })}\n\n`;
+    message += `${tmd(userId, 'users.staff', { count: staffUsers.length })}\n`;
     
-    adminUsers.forEach((user, index) => {
-      const name = user.firstName || 'Unknown';
-      const username = user.username ? `@${user.username}` : 'No username';
-      const isPrimary = user.id === RAYBEN_ID ? ' 👑' : '';
-      message += `${index + 1}. ${name} (${username})${isPrimary}\n`;
+    staffUsers.forEach((user, index) => {
+      message += `${tmd(userId, 'users.panel_staff_line', { index: index + 1, ...describe(user), role: getAccessRoleLabel(userId, getAccessRole(user.id)) })}\n`;
     });
     
-    const regularUsers = userList.filter(user => !user.isAdmin).slice(0, 10); // Show first 10 non-admins
-    message += `\n👤 Recent Users (${Math.min(10, totalUsers - adminUsers.length)} of ${totalUsers - adminUsers.length}):\n`;
+    const regularUsers = userList.filter(user => getAccessRole(user.id) === 'user').slice(0, 10); // Show first 10 regular users
+    message += `\n${tmd(userId, 'users.panel_recent', { shown: regularUsers.length, count: totalUsers - staffUsers.length })}\n`;
     
     regularUsers.forEach((user, index) => {
-      const name = user.firstName || 'Unknown';
-      const username = user.username ? `@${user.username}` : 'No username';
-      message += `${index + 1}. ${name} (${username})\n`;
+      message += `${tmd(userId, 'users.panel_line', { index: index + 1, ...describe(user), badges: getModerationBadges(user) })}\n`;
     });
     
-    if (totalUsers - adminUsers.length > 10) {
-      message += `... and ${totalUsers - adminUsers.length - 10} more\n`;
+    if (totalUsers - staffUsers.length > 10) {
+      message += `${tmd(userId, 'users.more', { count: totalUsers - staffUsers.length - 10 })}\n`;
     }
     
-    message += `\nUse /users for full list and management options.`;
+    message += `\n${tmd(userId, 'users.panel_hint')}`;
     
-    await ctx.editMessageText(message);
+    await ctx.editMessageText(message, { parse_mode: 'MarkdownV2' });
     ctx.answerCbQuery();
   }
   // Admin Broadcast
   else if (data === 'admin_broadcast') {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Access denied - Admins only!', { show_alert: true });
-      return;
+    await ctx.editMessageText(tmd(userId, 'admin.broadcast_info'), { parse_mode: 'MarkdownV2' });
+    ctx.answerCbQuery(t(userId, 'admin.broadcast_toast'));
+  }
+  // Confirm Broadcast Draft
+  else if (data.startsWith('broadcast_confirm_')) {
+    const job = broadcastJobs[data.replace('broadcast_confirm_', '')];
+    if (!job || job.status !== 'draft') {
+      return ctx.answerCbQuery(t(userId, 'broadcast.already_confirmed'), { show_alert: true });
     }
-    await ctx.editMessageText(
-      '📢 *Broadcast System*\\n\\n' +
-      '💡 To send a message to all users:\\n' +
-      '`/broadcast <your message>`\\n\\n' +
-      '📤 Your message will be delivered to all registered users\\.',
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('📢 Broadcast instructions shown');
+    await confirmBroadcastJob(job);
+    await recordAudit(userId, job.status === 'scheduled' ? 'broadcast.schedule' : 'broadcast.send', null, {
+      broadcast: job.id,
+      audience: describeBroadcastAudience(job.audience),
+      recipients: job.recipients.length || null,
+      sendAt: job.sendAt,
+      media: job.media?.type,
+      message: job.message
+    });
+    if (job.status === 'scheduled') {
+      const preview = buildBroadcastPreview(job);
+      await ctx.editMessageText(preview.text, { reply_markup: { inline_keyboard: preview.keyboard } });
+    }
+    ctx.answerCbQuery(job.status === 'scheduled'
+      ? t(userId, 'broadcast.scheduled_toast', { time: formatBroadcastTime(job.sendAt) })
+      : t(userId, 'broadcast.sending_toast'));
+  }
+  // Cancel Broadcast (preview, progress message or /broadcasts list)
+  else if (data.startsWith('broadcast_cancel_')) {
+    const job = broadcastJobs[data.replace('broadcast_cancel_', '')];
+    if (!job || !(await cancelBroadcastJob(job))) {
+      return ctx.answerCbQuery(t(userId, 'broadcast.already_finished'), { show_alert: true });
+    }
+    await recordAudit(userId, job.status === 'discarded' ? 'broadcast.discard' : 'broadcast.cancel', null, { broadcast: job.id });
+    // The progress message updates itself, the preview and the /broadcasts list are edited here
+    const messageId = ctx.callbackQuery.message?.message_id;
+    if (messageId === job.previewMessageId && messageId !== job.progressMessageId) {
+      await ctx.editMessageText(t(userId, 'broadcast.nothing_sent', {
+        id: job.id,
+        emoji: BROADCAST_STATUSES[job.status],
+        status: t(userId, `broadcast.status_${job.status}`)
+      }));
+    } else if (messageId !== job.progressMessageId) {
+      const view = buildBroadcastListView(userId);
+      await ctx.editMessageText(view.text, { reply_markup: { inline_keyboard: view.keyboard } }).catch(ignoreUnmodifiedEdit);
+    }
+    ctx.answerCbQuery(t(userId, 'broadcast.cancel_toast', { id: job.id }));
   }
   // Admin Support Requests
-  else if (data === 'admin_support') {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Access denied - Admins only!', { show_alert: true });
+  else if (data === 'admin_support' || data.startsWith('tickets_')) {
+    const status = data.replace('tickets_', '');
+    const view = buildTicketListView(userId, TICKET_STATUSES[status] ? status : null);
+    await ctx.editMessageText(view.text, { reply_markup: { inline_keyboard: view.keyboard } })
+      .catch(ignoreUnmodifiedEdit);
+    ctx.answerCbQuery(t(userId, 'tickets.loaded_toast'));
+  }
+  // Support ticket actions
+  else if (data.startsWith('ticket_')) {
+    const [, action, ticketId] = data.match(/^ticket_(view|assign|close|reopen)_(\d+)$/) || [];
+    const ticket = tickets[ticketId];
+    if (!ticket) {
+      await ctx.answerCbQuery(t(userId, 'tickets.not_found_toast'), { show_alert: true });
       return;
     }
-    await ctx.editMessageText(
-      '🆘 *Support Request System*\\n\\n' +
-      '💬 Support requests are forwarded directly to your Telegram DMs\\n\\n' +
-      '📨 Check your private messages for incoming support queries\\.',
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('🆘 Support system info shown');
+    
+    if (action === 'assign') {
+      await updateTicket(ticket, { assignedTo: userId });
+    } else if (action === 'close') {
+      await updateTicket(ticket, { status: 'closed' });
+      try {
+        await bot.telegram.sendMessage(ticket.userId, tmd(ticket.userId, 'support.ticket_closed', { ticket: ticket.id }), { parse_mode: 'MarkdownV2' });
+      } catch (error) {
+        console.error(`❌ Error notifying user of closed ticket #${ticket.id}:`, error.message);
+      }
+    } else if (action === 'reopen') {
+      await updateTicket(ticket, { status: 'open' });
+    }
+    if (action !== 'view') await recordAudit(userId, `ticket.${action}`, ticket.userId, { ticket: ticket.id });
+    
+    const view = buildTicketView(ticket, userId);
+    await ctx.editMessageText(view.text, { reply_markup: { inline_keyboard: view.keyboard } })
+      .catch(ignoreUnmodifiedEdit);
+    ctx.answerCbQuery(t(userId, `tickets.toast_${action}`, { id: ticket.id }));
   }
   // New admin callbacks
   else if (data === 'admin_commands') {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Access denied - Admins only!', { show_alert: true });
-      return;
-    }
-    
     const sortedCommands = Object.entries(analytics.commandStats)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 10);
     
-    let message = `⚡ *Command Usage Statistics*\\n\\n`;
-    message += `📊 **Total Commands:** ${analytics.totalCommands}\\n\\n`;
-    message += `🏆 **Top Commands:**\\n`;
+    let message = `${tmd(userId, 'admin.commands_title', { total: analytics.totalCommands })}\n`;
     
     sortedCommands.forEach(([command, count], index) => {
       const percentage = ((count / analytics.totalCommands) * 100).toFixed(1);
-      message += `${index + 1}\\. /${escapeMarkdownV2(command)} \\- ${count} uses \\(${percentage}%\\)\\n`;
+      message += `${tmd(userId, 'admin.commands_line', { index: index + 1, command, count, percentage })}\n`;
     });
     
     if (sortedCommands.length === 0) {
-      message += `No command data available yet\\.`;
+      message += tmd(userId, 'admin.commands_empty');
     }
     
     await ctx.editMessageText(message, { parse_mode: 'MarkdownV2' });
-    ctx.answerCbQuery('⚡ Command stats loaded');
+    ctx.answerCbQuery(t(userId, 'admin.commands_toast'));
   }
   else if (data === 'admin_topusers') {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Access denied - Admins only!', { show_alert: true });
-      return;
-    }
-    
     const userStats = Object.entries(analytics.userActivity)
       .map(([userId, activity]) => ({
         user: users[userId],
@@ -1883,100 +6152,63 @@ bot.on('callback_query', async (ctx) => {
       .sort((a, b) => b.total - a.total)
       .slice(0, 8);
     
-    let message = `👑 *Most Active Users*\\n\\n`;
+    let message = `${tmd(userId, 'admin.topusers_title')}\n\n`;
     
     userStats.forEach((entry, index) => {
-      const name = entry.user.firstName || 'Unknown';
-      const username = entry.user.username ? `@${entry.user.username}` : 'No username';
-      const isAdminBadge = entry.user.isAdmin ? ' 🛡️' : '';
-      message += `${index + 1}\\. ${escapeMarkdownV2(name)}${isAdminBadge}\\n`;
-      message += `   ${escapeMarkdownV2(username)} \\| 🎯 ${entry.total} interactions\\n\\n`;
+      message += `${tmd(userId, 'admin.topusers_line', {
+        index: index + 1,
+        name: entry.user.firstName || t(userId, 'common.unknown_user'),
+        badge: isAdmin(entry.user.id) ? ' 🛡️' : '',
+        username: entry.user.username ? `@${entry.user.username}` : t(userId, 'common.no_username'),
+        total: entry.total
+      })}\n\n`;
     });
     
     if (userStats.length === 0) {
-      message += `No user activity data available yet\\.`;
+      message += tmd(userId, 'admin.topusers_empty');
     }
     
     await ctx.editMessageText(message, { parse_mode: 'MarkdownV2' });
-    ctx.answerCbQuery('👑 Top users loaded');
+    ctx.answerCbQuery(t(userId, 'admin.topusers_toast'));
   }
-  else if (data === 'admin_analytics') {
-    if (!isRayBen(ctx.from.id)) {
-      await ctx.answerCbQuery('⛔️ Only RayBen445 can view full analytics!', { show_alert: true });
-      return;
-    }
-    
-    const uptime = Math.floor((Date.now() - new Date(analytics.botStartTime)) / (1000 * 60 * 60 * 24));
-    const totalUsers = Object.keys(users).length;
-    const activeToday = Object.values(users).filter(u => {
-      const lastSeen = new Date(u.lastSeen);
-      const today = new Date();
-      return lastSeen.toDateString() === today.toDateString();
-    }).length;
-    
-    // Top commands
-    const topCommands = Object.entries(analytics.commandStats)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([cmd, count], i) => `${i + 1}\\. /${escapeMarkdownV2(cmd)} \\(${count}\\)`)
-      .join('\\n');
-    
-    await ctx.editMessageText(
-      `📊 *Full Analytics Dashboard*\\n\\n` +
-      `⏰ **Uptime:** ${uptime} days\\n` +
-      `👥 **Total Users:** ${totalUsers}\\n` +
-      `🎯 **Active Today:** ${activeToday}\\n` +
-      `💬 **Total Messages:** ${analytics.totalMessages}\\n` +
-      `⚡ **Total Commands:** ${analytics.totalCommands}\\n\\n` +
-      `🏆 **Top Commands:**\\n${topCommands || 'No data'}\\n\\n` +
-      `✨ _Full analytics for RayBen445_`,
-      { parse_mode: 'MarkdownV2' }
-    );
-    ctx.answerCbQuery('📊 Full analytics loaded');
+  else if (data === 'admin_analytics' || data.startsWith('analytics_')) {
+    const days = ANALYTICS_PERIODS[data.replace('analytics_', '')];
+    await ctx.editMessageText(days ? buildAnalyticsTrendMessage(userId, days) : buildAnalyticsOverviewMessage(userId), {
+      reply_markup: { inline_keyboard: buildAnalyticsKeyboard(userId) },
+      parse_mode: 'MarkdownV2'
+    }).catch(ignoreUnmodifiedEdit);
+    ctx.answerCbQuery(days ? t(userId, 'analytics.trend_toast', { days }) : t(userId, 'analytics.overview_toast'));
   }
   else if (data === 'admin_api_status') {
-    let message = `🔧 *AI API Status Dashboard*\\n\\n`;
-    
-    // Check primary APIs
-    message += `🎯 **Primary APIs \\(${aiAPIs.length}\\):**\\n`;
-    for (let i = 0; i < aiAPIs.length; i++) {
-      const url = aiAPIs[i];
-      const apiName = url.includes('gpt4o') ? 'GPT\\-4o' : 
-                     url.includes('geminiaipro') ? 'Gemini Pro' :
-                     url.includes('meta-llama') ? 'Meta Llama' :
-                     url.includes('copilot') ? 'Copilot' :
-                     `API ${i + 1}`;
-      message += `${i + 1}\\. ${apiName} \\- GiftedTech\\n`;
-    }
-    
-    // Check Google Gemini status
-    message += `\\n🤖 **Fallback API:**\\n`;
-    if (geminiAI) {
-      message += `✅ Google Gemini \\- *Configured & Ready*\\n`;
-    } else {
-      message += `⚠️ Google Gemini \\- *Not Configured*\\n`;
-      message += `💡 Set GOOGLE\\_API\\_KEY to enable fallback\\n`;
-    }
-    
-    message += `\\n📊 **API Flow:**\\n`;
-    message += `1\\. Try all ${aiAPIs.length} primary APIs sequentially\\n`;
-    message += `2\\. If all fail, use Google Gemini fallback\\n`;
-    message += `3\\. If still no response, show helpful error\\n\\n`;
-    
-    message += `🛡️ **Brand Protection:**\\n`;
-    message += `• All responses maintain Cool Shot AI identity\\n`;
-    message += `• Comprehensive text replacement active\\n`;
-    message += `• No external provider names visible\\n\\n`;
-    
-    message += `✨ _Cool Shot Systems API Management_`;
-    
-    await ctx.editMessageText(message, { parse_mode: 'MarkdownV2' });
-    ctx.answerCbQuery('🔧 API status loaded');
+    await ctx.editMessageText(buildApiStatusMessage(userId), {
+      reply_markup: {
+        inline_keyboard: [[{ text: t(userId, 'apistatus.probe_button'), callback_data: 'admin_api_probe' }]]
+      },
+      parse_mode: 'MarkdownV2'
+    });
+    ctx.answerCbQuery(t(userId, 'apistatus.loaded_toast'));
+  }
+  else if (data === 'admin_api_probe') {
+    await ctx.answerCbQuery(t(userId, 'apistatus.probing_toast'));
+    const probeResults = await probeAllProviders();
+    await ctx.editMessageText(buildApiStatusMessage(userId, probeResults), {
+      reply_markup: {
+        inline_keyboard: [[{ text: t(userId, 'apistatus.probe_button'), callback_data: 'admin_api_probe' }]]
+      },
+      parse_mode: 'MarkdownV2'
+    });
   }
 });
 
 // ========== Utility Functions ==========
 
+// Catch handler for message edits: Telegram rejects edits that leave the message unchanged, anything else is logged
+function ignoreUnmodifiedEdit(error) {
+  if (!error.message.includes('message is not modified')) {
+    console.error('❌ Error editing message:', error.message);
+  }
+}
+
 // Splits arrays into chunks for inline keyboards
 function chunkArray(array, chunkSize) {
   const temp = [];
@@ -1985,6 +6217,582 @@ function chunkArray(array, chunkSize) {
   return temp;
 }
 
+// ========== Chat API ==========
+/**
+ * OpenAI-compatible chat endpoints backed by the bot's provider chain
+ *
+ * Answers go through the same provider routing, roles, personas, languages and brand
+ * protection as Telegram chats. Callers authenticate with an API key issued by the owner
+ * with /apikey (storage keeps only key hashes) and act as the Telegram user the key
+ * was issued for: banned or muted users are refused and AI rate limits apply unless the user
+ * is exempt.
+ *   POST /v1/chat/completions  { messages, stream, role, language } as a chat.completion,
+ *                              or chat.completion.chunk server-sent events with "stream": true
+ *   POST /api/chat             { message, role, language } -> { reply, role, language }
+ * role is a roles.json name or "persona:<id>" (default: the user's /role), language a /lang
+ * code (default: the user's /lang choice, otherwise detected from the message).
+ */
+const API_KEY_PREFIX = 'csai-';
+const CHAT_API_MODEL = 'cool-shot-ai';
+const CHAT_API_MAX_MESSAGE_CHARS = 8000;
+const CHAT_API_USAGE_SAVE_MS = 5000; // Key usage counters are written at most this often
+
+let chatApiKeys = {}; // { keyId: { id, name, userId, digest, createdBy, createdAt, lastUsedAt, requests } }
+let chatApiKeysSaveTimer = null;
+
+// Load issued API keys from storage
+async function loadChatApiKeys() {
+  try {
+    const stored = await storage.loadApiKeys();
+    if (stored) {
+      chatApiKeys = stored;
+      console.log(`🔑 Loaded ${Object.keys(chatApiKeys).length} chat API keys`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading chat API keys:', error.message);
+  }
+}
+
+// Save issued API keys to storage, keyId limits the save to one created or revoked key
+// (usage counters of several keys are saved together without one)
+async function saveChatApiKeys(keyId) {
+  if (keyId === undefined) {
+    clearTimeout(chatApiKeysSaveTimer);
+    chatApiKeysSaveTimer = null;
+  }
+  try {
+    await storage.saveApiKeys(chatApiKeys, keyId);
+  } catch (error) {
+    console.error('❌ Error saving chat API keys:', error.message);
+  }
+}
+
+// Save key usage soon, batching the writes of busy keys
+function scheduleChatApiKeysSave() {
+  if (!chatApiKeysSaveTimer) chatApiKeysSaveTimer = setTimeout(() => saveChatApiKeys(), CHAT_API_USAGE_SAVE_MS);
+}
+
+// Issue a key acting as a user, returns the key record and the secret (shown only once)
+async function createChatApiKey(userId, name, createdBy) {
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (chatApiKeys[id]);
+  const secret = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  chatApiKeys[id] = {
+    id,
+    name,
+    userId,
+    digest: hashApiToken(secret).toString('hex'),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    requests: 0
+  };
+  await saveChatApiKeys(id);
+  return { key: chatApiKeys[id], secret };
+}
+
+// The key record for an "Authorization: Bearer <key>" header, null when it is unknown
+function getChatApiKey(header) {
+  const [, secret] = (header || '').match(/^Bearer\s+(\S+)$/i) || [];
+  if (!secret) return null;
+  const digest = hashApiToken(secret);
+  return Object.values(chatApiKeys).find(key => crypto.timingSafeEqual(Buffer.from(key.digest, 'hex'), digest)) || null;
+}
+
+// Build the /apikey list of issued keys in the viewer's language
+function buildChatApiKeysView(viewerId) {
+  const keys = Object.values(chatApiKeys);
+  let text = t(viewerId, 'apikey.view_title', { count: keys.length }) + '\n\n';
+  keys.forEach(key => {
+    text += `• ${key.id} · ${key.name}\n`;
+    text += '   ' + t(viewerId, 'apikey.view_owner', { user: getTicketUserName(key.userId, viewerId), time: formatBroadcastTime(key.createdAt) }) + '\n';
+    text += '   ' + (key.lastUsedAt
+      ? t(viewerId, 'apikey.view_usage_last', { count: key.requests, time: formatBroadcastTime(key.lastUsedAt) })
+      : t(viewerId, 'apikey.view_usage', { count: key.requests })) + '\n';
+  });
+  if (keys.length === 0) text += t(viewerId, 'apikey.view_empty') + '\n';
+  text += '\n' + t(viewerId, 'apikey.view_hints');
+  return text;
+}
+
+// Text of an OpenAI message content: a string or an array of { type: 'text', text } parts
+function getChatMessageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return null;
+  return content.filter(part => part && part.type === 'text' && typeof part.text === 'string').map(part => part.text).join('\n');
+}
+
+// Split OpenAI messages into caller instructions, earlier exchanges and the new user message
+// Returns { message, conversation, instructions } or { error }
+function parseChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return { error: 'messages must be a non-empty array' };
+  const instructions = [];
+  const conversation = { summary: '', turns: [] };
+  let question = null;
+  for (const [index, entry] of messages.entries()) {
+    const text = getChatMessageText(entry && entry.content);
+    if (text === null) return { error: `messages[${index}].content must be text` };
+    if (entry.role === 'system' || entry.role === 'developer') {
+      instructions.push(text);
+    } else if (entry.role === 'user') {
+      question = question === null ? text : `${question}\n${text}`;
+    } else if (entry.role === 'assistant') {
+      conversation.turns.push({ question: question || '', answer: text });
+      question = null;
+    } else {
+      return { error: `messages[${index}].role must be system, developer, user or assistant` };
+    }
+  }
+  if (!question || !question.trim()) return { error: 'The last message must be a user message' };
+  if (question.length > CHAT_API_MAX_MESSAGE_CHARS) return { error: `The user message is longer than ${CHAT_API_MAX_MESSAGE_CHARS} characters` };
+  // Long histories are condensed the same way as Telegram conversations
+  compactConversation(conversation);
+  return { message: question, conversation, instructions: instructions.join('\n') };
+}
+
+// Whether a role name or "persona:<id>" exists and the user may use it
+function isChatRoleUsable(role, userId) {
+  if (typeof role !== 'string') return false;
+  if (!role.startsWith(PERSONA_ROLE_PREFIX)) return Boolean(roleDefinitions[role]);
+  const persona = personas[role.slice(PERSONA_ROLE_PREFIX.length)];
+  return Boolean(persona && canUsePersona(persona, userId));
+}
+
+// Role and language for a chat request, returns { role, lang } or { error }
+function resolveChatOptions(body, userId, message) {
+  let role = body.role;
+  if (role === undefined) {
+    // Like Telegram chats, a stored persona that was deleted or unshared falls back to the default role
+    role = isChatRoleUsable(userRoles[userId], userId) ? userRoles[userId] : DEFAULT_ROLE;
+  } else if (!isChatRoleUsable(role, userId)) {
+    return { error: `Unknown role "${role}", use a role name from roles.json or a persona the user can use` };
+  }
+  
+  let lang = body.language;
+  if (lang === undefined) {
+    lang = userLanguages[userId] || (AUTO_LANGUAGE_DETECTION && detectLanguage(message)) || DEFAULT_LANGUAGE;
+  } else if (!languages.some(language => language.code === lang)) {
+    return { error: `Unknown language "${lang}", use ${languages.map(language => language.code).join(', ')}` };
+  }
+  return { role, lang };
+}
+
+// Answer with an error in the caller's format: OpenAI style under /v1, { error } otherwise
+function sendChatApiError(req, res, status, message, type = 'invalid_request_error') {
+  if (req.originalUrl.startsWith('/v1/')) {
+    return res.status(status).json({ error: { message, type, code: null } });
+  }
+  return res.status(status).json({ error: message });
+}
+
+// Check the API key, the user's ban or mute and the AI rate limit
+function requireChatApiKey(req, res, next) {
+  const key = getChatApiKey(req.get('authorization'));
+  if (!key) {
+    return sendChatApiError(req, res, 401, 'Missing or invalid API key', 'authentication_error');
+  }
+  const user = users[String(key.userId)];
+  if (getActiveRestriction(user, 'ban') || getActiveRestriction(user, 'mute')) {
+    return sendChatApiError(req, res, 403, 'The user this key acts as is banned or muted', 'permission_error');
+  }
+  if (rateLimitConfig.enabled && !hasPermission(key.userId, 'ratelimits.exempt')) {
+    const limited = takeRateLimitToken('ai', key.userId);
+    if (limited) {
+      rateLimitStats.ai++;
+      res.set('Retry-After', String(Math.ceil(limited.waitMs / 1000)));
+      return sendChatApiError(req, res, 429, 'Rate limit reached, try again later', 'rate_limit_error');
+    }
+  }
+  
+  key.requests++;
+  key.lastUsedAt = new Date().toISOString();
+  scheduleChatApiKeysSave();
+  req.chatUserId = key.userId;
+  next();
+}
+
+// Build the provider request for parsed messages, caller instructions follow the role's
+// Answers 400 and returns null when the request is invalid
+function buildChatProviderRequest(req, res, parsed) {
+  if (parsed.error) {
+    sendChatApiError(req, res, 400, parsed.error);
+    return null;
+  }
+  const options = resolveChatOptions(req.body, req.chatUserId, parsed.message);
+  if (options.error) {
+    sendChatApiError(req, res, 400, options.error);
+    return null;
+  }
+  const request = buildProviderRequest(req.chatUserId, parsed.message, options.role, options.lang, parsed.conversation);
+  if (parsed.instructions) {
+    request.instructions += `\nAdditional instructions from the caller:\n${parsed.instructions}`;
+  }
+  return request;
+}
+
+// Stream an answer as chat.completion.chunk server-sent events ending with [DONE]
+// Partial answers are sent up to their last finished sentence, so brand rewrites see whole
+// sentences. Sent text cannot be taken back: when the answer no longer starts with it (a rewrite
+// changed it, or a provider failed mid-answer and another one took over) the provider is
+// cancelled and the stream ends with an error instead of finish_reason "stop".
+// A client that disconnects cancels the provider request too.
+async function streamChatCompletion(res, request, completion) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = (data) => {
+    if (!res.writableEnded && !res.destroyed) res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  };
+  const sendChunk = (delta, finishReason = null) => {
+    send({ ...completion, object: 'chat.completion.chunk', choices: [{ index: 0, delta, finish_reason: finishReason }] });
+  };
+  // Send what text adds to the answer, false when it no longer starts with what was sent
+  let sent = '';
+  const sendText = (text) => {
+    if (sent.startsWith(text)) return true;
+    if (!text.startsWith(sent)) return false;
+    sendChunk({ content: text.slice(sent.length) });
+    sent = text;
+    return true;
+  };
+  
+  const controller = new AbortController();
+  let diverged = false;
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  sendChunk({ role: 'assistant', content: '' });
+  const result = await runProviderChain(request, partial => {
+    const text = partial.trimStart();
+    if (!diverged && !sendText(text.slice(0, text.search(/[^\n.!?。！？]*$/)))) {
+      diverged = true;
+      controller.abort();
+    }
+  }, controller.signal);
+  if (controller.signal.aborted && !diverged) return; // The client went away
+  await trackAICall(!result);
+  
+  const text = result && result.text.trim();
+  if (result && text.startsWith(sent)) {
+    sendText(text);
+    sendChunk({}, 'stop');
+  } else if (result || diverged) {
+    console.log('⚠️ Streamed chat API answer changed after part of it was sent, ending the stream with an error');
+    send({ error: { message: 'The answer changed after part of it was streamed, try again', type: 'provider_error', code: null } });
+  } else {
+    send({ error: { message: 'No AI provider answered, try again later', type: 'provider_error', code: null } });
+  }
+  send('[DONE]');
+  res.end();
+}
+
+app.post('/v1/chat/completions', requireChatApiKey, async (req, res) => {
+  const request = buildChatProviderRequest(req, res, parseChatMessages(req.body && req.body.messages));
+  if (!request) return;
+  const completion = { id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`, created: Math.floor(Date.now() / 1000), model: CHAT_API_MODEL };
+  if (req.body.stream) return streamChatCompletion(res, request, completion);
+  
+  const result = await runProviderChain(request);
+  await trackAICall(!result);
+  if (!result) return sendChatApiError(req, res, 502, 'No AI provider answered, try again later', 'provider_error');
+  res.json({
+    ...completion,
+    object: 'chat.completion',
+    choices: [{ index: 0, message: { role: 'assistant', content: result.text.trim() }, finish_reason: 'stop' }]
+  });
+});
+
+app.post('/api/chat', requireChatApiKey, async (req, res) => {
+  const message = req.body && req.body.message;
+  const parsed = typeof message === 'string'
+    ? parseChatMessages([{ role: 'user', content: message }])
+    : { error: 'Body must be JSON with a "message" string' };
+  const request = buildChatProviderRequest(req, res, parsed);
+  if (!request) return;
+  
+  const result = await runProviderChain(request);
+  await trackAICall(!result);
+  if (!result) return sendChatApiError(req, res, 502, 'No AI provider answered, try again later');
+  res.json({ reply: result.text.trim(), role: request.role, language: request.lang });
+});
+
+// Malformed JSON and unexpected errors become JSON too
+app.use(['/v1', '/api/chat'], (error, req, res, next) => {
+  if (!error.expose) console.error('❌ Chat API error:', error.message);
+  if (res.headersSent) return res.end();
+  sendChatApiError(req, res, error.expose ? error.status : 500, error.expose ? error.message : 'Internal server error', error.expose ? 'invalid_request_error' : 'server_error');
+});
+
+// ========== Admin REST API ==========
+/**
+ * Token-authenticated JSON endpoints for dashboards
+ *
+ * ADMIN_API_TOKENS maps API tokens to Telegram user IDs, e.g. '{"<long random token>":"6649936329"}'.
+ * Requests send "Authorization: Bearer <token>" and act as that user: each endpoint needs the
+ * same permission as the matching bot command, and changes are recorded in the audit log.
+ *   GET  /api/users            users.view      (?page, limit, role, language, q, active, banned, inactive, sort)
+ *   GET  /api/users/:id        users.view      (ID or username)
+ *   GET  /api/admins           users.view
+ *   GET  /api/analytics        analytics.view  (?period=7d|30d adds the daily trend)
+ *   GET  /api/commands         stats.view      (?page, limit)
+ *   POST /api/users/:id/promote  roles.manage  ({ "role": "admin|moderator|support" }, default admin)
+ *   POST /api/users/:id/demote   roles.manage
+ *   PUT  /api/users/:id/note     users.notes   ({ "note": "..." })
+ * Lists are paginated as { data, page, limit, total, totalPages }. Without tokens the API answers 503.
+ */
+const API_DEFAULT_PAGE_SIZE = 25;
+const API_MAX_PAGE_SIZE = 100;
+const API_USER_SORTS = {
+  lastSeen: (a, b) => new Date(b.lastSeen) - new Date(a.lastSeen),
+  firstSeen: (a, b) => new Date(b.firstSeen) - new Date(a.firstSeen),
+  activity: (a, b) => getUserInteractions(b.id) - getUserInteractions(a.id)
+};
+
+let adminApiTokens = []; // [{ digest, userId }]
+
+// Hash a token so tokens are compared in constant time
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+// Read ADMIN_API_TOKENS
+function loadAdminApiTokens() {
+  adminApiTokens = [];
+  if (!process.env.ADMIN_API_TOKENS) {
+    console.log('🔑 Admin API disabled (ADMIN_API_TOKENS not set)');
+    return;
+  }
+  try {
+    for (const [token, telegramId] of Object.entries(JSON.parse(process.env.ADMIN_API_TOKENS))) {
+      const id = String(telegramId).trim();
+      if (token.length < 16 || !/^\d+$/.test(id)) {
+        console.error('❌ Ignoring ADMIN_API_TOKENS entry: tokens need 16+ characters and a numeric Telegram ID');
+        continue;
+      }
+      adminApiTokens.push({ digest: hashApiToken(token), userId: Number(id) });
+    }
+    console.log(`🔑 Admin API enabled with ${adminApiTokens.length} tokens`);
+  } catch (error) {
+    console.error('❌ Error parsing ADMIN_API_TOKENS:', error.message);
+  }
+}
+
+// The user a bearer token acts as, null when it is unknown
+function getApiTokenUser(header) {
+  const [, token] = (header || '').match(/^Bearer\s+(\S+)$/i) || [];
+  if (!token) return null;
+  const digest = hashApiToken(token);
+  const match = adminApiTokens.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+  return match ? match.userId : null;
+}
+
+// Messages and commands a user sent in total
+function getUserInteractions(userId) {
+  const activity = analytics.userActivity[userId.toString()];
+  return activity ? activity.messages + activity.commands : 0;
+}
+
+// A user record as returned by the API, with details for single-user responses
+function serializeApiUser(user, detailed = false) {
+  const activity = analytics.userActivity[user.id.toString()] || { messages: 0, commands: 0 };
+  const data = {
+    id: user.id,
+    username: user.username,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    accessRole: getAccessRole(user.id),
+    expertRole: user.role,
+    language: user.language,
+    inactive: Boolean(user.inactive),
+    banned: getActiveRestriction(user, 'ban') !== null,
+    muted: getActiveRestriction(user, 'mute') !== null,
+    messages: activity.messages,
+    commands: activity.commands,
+    firstSeen: user.firstSeen,
+    lastSeen: user.lastSeen,
+    notes: user.notes || ''
+  };
+  if (!detailed) return data;
+  const { permissions } = ACCESS_ROLES[data.accessRole];
+  return {
+    ...data,
+    permissions: permissions.includes('*') ? PERMISSIONS : permissions,
+    roleSources: getRoleSources(user.id),
+    recentRoles: user.recentRoles || [],
+    ban: getActiveRestriction(user, 'ban'),
+    mute: getActiveRestriction(user, 'mute')
+  };
+}
+
+// One page of a list, from the page and limit query parameters
+function paginate(items, query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || API_DEFAULT_PAGE_SIZE, 1), API_MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return {
+    data: items.slice((page - 1) * limit, page * limit),
+    page,
+    limit,
+    total: items.length,
+    totalPages: Math.ceil(items.length / limit)
+  };
+}
+
+// Users matching the /api/users query filters, returns the list or an error message
+function filterApiUsers(query) {
+  if (query.role && !ACCESS_ROLES[query.role]) return `Unknown role "${query.role}"`;
+  if (query.sort && !API_USER_SORTS[query.sort]) return `Unknown sort "${query.sort}", use ${Object.keys(API_USER_SORTS).join(', ')}`;
+  const activeDays = query.active === undefined ? null : parseInt(query.active, 10);
+  if (activeDays !== null && !(activeDays > 0)) return 'active must be a number of days';
+  
+  const search = (query.q || '').toLowerCase();
+  const now = Date.now();
+  return Object.values(users)
+    .filter(user =>
+      (!query.role || getAccessRole(user.id) === query.role) &&
+      (!query.language || getUserLanguage(user.id) === query.language) &&
+      (!search || [user.firstName, user.lastName, user.username, String(user.id)].some(value => (value || '').toLowerCase().includes(search))) &&
+      (!activeDays || now - new Date(user.lastSeen) <= activeDays * DAY_MS) &&
+      (query.banned === undefined || (getActiveRestriction(user, 'ban') !== null) === (query.banned === 'true')) &&
+      (query.inactive === undefined || Boolean(user.inactive) === (query.inactive === 'true'))
+    )
+    .sort(API_USER_SORTS[query.sort || 'lastSeen']);
+}
+
+// Analytics overview, with the daily trend for a period
+function buildApiAnalytics(days) {
+  const activeToday = Object.values(users).filter(user => getDayKey(new Date(user.lastSeen)) === getDayKey()).length;
+  const data = {
+    botStartTime: analytics.botStartTime,
+    totalUsers: Object.keys(users).length,
+    activeToday,
+    totalMessages: analytics.totalMessages,
+    totalCommands: analytics.totalCommands,
+    activeUsers: {
+      daily: summarizeDailyStats(getDailyStatsRange(1)).activeUsers,
+      weekly: summarizeDailyStats(getDailyStatsRange(7)).activeUsers,
+      monthly: summarizeDailyStats(getDailyStatsRange(30)).activeUsers
+    }
+  };
+  if (!days) return data;
+  const range = getDailyStatsRange(days);
+  return {
+    ...data,
+    period: { days, totals: summarizeDailyStats(range) },
+    weekOverWeek: { thisWeek: summarizeDailyStats(getDailyStatsRange(7)), lastWeek: summarizeDailyStats(getDailyStatsRange(7, 7)) },
+    daily: range.map(({ day, stats }) => ({ day, ...createStatsBucket(), ...stats, activeUsers: (stats.activeUsers || []).length }))
+  };
+}
+
+// Only let requests through when the token's user has a permission
+function requireApiPermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.apiUserId, permission)) {
+      return res.status(403).json({ error: `Missing permission ${permission}` });
+    }
+    next();
+  };
+}
+
+// Find the user named in the route, or answer 404
+function findApiUser(req, res) {
+  const user = findUserByReference(req.params.id);
+  if (!user) res.status(404).json({ error: 'User not found' });
+  return user;
+}
+
+const adminApi = express.Router();
+
+// Every API request needs a known token
+adminApi.use((req, res, next) => {
+  if (adminApiTokens.length === 0) {
+    return res.status(503).json({ error: 'Admin API is disabled, set ADMIN_API_TOKENS' });
+  }
+  req.apiUserId = getApiTokenUser(req.get('authorization'));
+  if (!req.apiUserId) {
+    return res.status(401).json({ error: 'Missing or invalid bearer token' });
+  }
+  next();
+});
+
+adminApi.get('/users', requireApiPermission('users.view'), (req, res) => {
+  const result = filterApiUsers(req.query);
+  if (typeof result === 'string') return res.status(400).json({ error: result });
+  const page = paginate(result, req.query);
+  res.json({ ...page, data: page.data.map(user => serializeApiUser(user)) });
+});
+
+adminApi.get('/users/:id', requireApiPermission('users.view'), (req, res) => {
+  const user = findApiUser(req, res);
+  if (user) res.json(serializeApiUser(user, true));
+});
+
+adminApi.get('/admins', requireApiPermission('users.view'), (req, res) => {
+  res.json({ data: getStaffUsers().map(user => ({ ...serializeApiUser(user), roleSources: getRoleSources(user.id) })) });
+});
+
+adminApi.get('/analytics', requireApiPermission('analytics.view'), (req, res) => {
+  const days = ANALYTICS_PERIODS[req.query.period];
+  if (req.query.period && !days) {
+    return res.status(400).json({ error: `Unknown period, use ${Object.keys(ANALYTICS_PERIODS).join(' or ')}` });
+  }
+  res.json(buildApiAnalytics(days));
+});
+
+adminApi.get('/commands', requireApiPermission('stats.view'), (req, res) => {
+  const commands = Object.entries(analytics.commandStats)
+    .map(([command, count]) => ({ command, count }))
+    .sort((a, b) => b.count - a.count);
+  res.json({ ...paginate(commands, req.query), totalCommands: analytics.totalCommands });
+});
+
+adminApi.post('/users/:id/promote', requireApiPermission('roles.manage'), async (req, res) => {
+  const user = findApiUser(req, res);
+  if (!user) return;
+  const role = (req.body && req.body.role) || 'admin';
+  const result = await grantAccessRole(user.id, role);
+  if (!result.success) return res.status(400).json({ error: result.error });
+  await recordAudit(req.apiUserId, 'role.grant', user.id, { role, via: 'api' });
+  await notifyRoleGranted(user.id, role);
+  res.json(serializeApiUser(user, true));
+});
+
+adminApi.post('/users/:id/demote', requireApiPermission('roles.manage'), async (req, res) => {
+  const user = findApiUser(req, res);
+  if (!user) return;
+  const role = getAccessRole(user.id);
+  const result = await revokeAccessRole(user.id);
+  if (!result.success) return res.status(400).json({ error: result.error });
+  await recordAudit(req.apiUserId, 'role.revoke', user.id, { role, via: 'api' });
+  await notifyRoleRevoked(user.id, role);
+  res.json(serializeApiUser(user, true));
+});
+
+adminApi.put('/users/:id/note', requireApiPermission('users.notes'), async (req, res) => {
+  const user = findApiUser(req, res);
+  if (!user) return;
+  const note = req.body && req.body.note;
+  if (typeof note !== 'string') return res.status(400).json({ error: 'Body must be JSON with a "note" string' });
+  user.notes = note.trim();
+  await saveUsers(user.id);
+  await recordAudit(req.apiUserId, 'user.note', user.id, { note: user.notes, via: 'api' });
+  res.json(serializeApiUser(user, true));
+});
+
+adminApi.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+app.use('/api', adminApi);
+
+// Malformed JSON (rejected by express.json() before the router runs) and unexpected errors become JSON too
+app.use('/api', (error, req, res, next) => {
+  if (!error.expose) console.error('❌ Admin API error:', error.message);
+  if (res.headersSent) return res.end();
+  res.status(error.expose ? error.status : 500).json({ error: error.expose ? error.message : 'Internal server error' });
+});
+
 // ========== Webhook & Health Endpoints ==========
 bot.telegram.setWebhook('https://prof-tech-mvai.onrender.com/telegram');
 app.post('/telegram', bot.webhookCallback('/telegram'));
@@ -1999,7 +6807,35 @@ app.get('/ping', (req, res) => {
 app.listen(PORT, async () => {
   console.log(`✅ Cool Shot AI is live at http://localhost:${PORT}`);
   
-  // Initialize the admin system
+  // Initialize the admin system, translations, roles and AI providers
   await initializeAdminSystem();
+  loadAdminApiTokens();
+  await loadChatApiKeys();
+  await loadTickets();
+  await loadTranslations();
+  await loadLanguageProfiles();
+  await loadRoleDefinitions();
+  await loadPersonas();
+  await loadProviders();
+  await loadBrandRules();
+  await loadRateLimits();
+  await loadAuditLog();
+  await loadBroadcastJobs();
+  startBroadcastScheduler();
+  startProviderProbes();
   console.log('🚀 Bot initialization complete!');
 });
+
+// Write pending user, analytics and broadcast changes before the process exits
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received, saving data...`);
+    if (chatApiKeysSaveTimer) await saveChatApiKeys();
+    if (storage) {
+      // Running broadcasts resume from their last position on the next start
+      await saveBroadcastJobs();
+      await storage.flush();
+    }
+    process.exit(0);
+  });
+}
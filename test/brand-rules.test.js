@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileBrandRule, compileBrandRules, brandRuleAppliesTo, rewriteBrandText } = require('../brand-protection');
+const brandConfig = require('../brand-rules.json');
+const { providers } = require('../providers.json');
+
+const rules = compileBrandRules(brandConfig);
+const gemini = providers.find(provider => provider.id === 'gemini');
+const gpt4o = providers.find(provider => provider.id === 'gifted-gpt4o');
+
+// Resolve an example's provider the same way /brandrules check does
+function exampleProvider(id) {
+  if (!id) return null;
+  return providers.find(provider => provider.id === id) || { id, type: id };
+}
+
+test('every rule in brand-rules.json compiles', () => {
+  assert.equal(rules.length, brandConfig.rules.length);
+});
+
+for (const rule of rules) {
+  test(`rule ${rule.id} rewrites its examples`, () => {
+    assert.ok(rule.examples.length > 0, `${rule.id} has no examples`);
+    for (const example of rule.examples) {
+      const result = rewriteBrandText(example.input, rules, exampleProvider(example.provider));
+      assert.equal(result.text, example.output, `input: ${example.input}`);
+    }
+  });
+
+  test(`rule ${rule.id} leaves code untouched`, () => {
+    const example = rule.examples.find(item => item.input !== item.output);
+    if (!example) return;
+    const provider = exampleProvider(example.provider);
+    const fenced = `\`\`\`\n${example.input}\n\`\`\``;
+    assert.equal(rewriteBrandText(fenced, rules, provider).text, fenced);
+    if (!example.input.includes('`') && !example.input.includes('\n')) {
+      const inline = `\`${example.input}\``;
+      assert.equal(rewriteBrandText(inline, rules, provider).text, inline);
+    }
+  });
+}
+
+test('provider-scoped rules only apply to their providers', () => {
+  const scoped = rules.filter(rule => !rule.scope.includes('*'));
+  assert.ok(scoped.length > 0);
+  for (const rule of scoped) {
+    assert.equal(brandRuleAppliesTo(rule, null), false, `${rule.id} applies without a provider`);
+    for (const provider of providers) {
+      const expected = rule.scope.includes(provider.id) || rule.scope.includes(provider.type);
+      assert.equal(brandRuleAppliesTo(rule, provider), expected, `${rule.id} for ${provider.id}`);
+    }
+  }
+  assert.equal(rewriteBrandText("As Google's AI, I can help.", rules, gemini).text, 'As Cool Shot AI, I can help.');
+  assert.equal(rewriteBrandText("As Google's AI, I can help.", rules, gpt4o).text, "As Google's AI, I can help.");
+  assert.equal(rewriteBrandText("As Google's AI, I can help.", rules).text, "As Google's AI, I can help.");
+});
+
+test('rules for all providers apply with and without a provider', () => {
+  for (const provider of [null, gemini, gpt4o]) {
+    assert.equal(rewriteBrandText('Welcome to GiftedTech!', rules, provider).text, 'Welcome to Cool Shot AI!');
+  }
+});
+
+test('patterns match whole words unless wordBoundary is false', () => {
+  assert.equal(rewriteBrandText('GiftedTechnology and MyGiftedTech stay.', rules).text, 'GiftedTechnology and MyGiftedTech stay.');
+  assert.equal(rewriteBrandText('Ask GiftedTech.', rules).text, 'Ask Cool Shot AI.');
+
+  const loose = compileBrandRule({ id: 'loose', pattern: 'Acme', replacement: 'Cool Shot', wordBoundary: false }, 0);
+  const strict = compileBrandRule({ id: 'strict', pattern: 'Acme', replacement: 'Cool Shot' }, 0);
+  assert.equal(rewriteBrandText('AcmeCorp', [loose]).text, 'Cool ShotCorp');
+  assert.equal(rewriteBrandText('AcmeCorp', [strict]).text, 'AcmeCorp');
+});
+
+test('code blocks, inline code and unfinished streamed fences are not rewritten', () => {
+  const text = 'GiftedTech says:\n```js\nconst name = "GiftedTech";\n```\nUse `GiftedTech` in code, GiftedTech in prose.';
+  assert.deepEqual(rewriteBrandText(text, rules), {
+    text: 'Cool Shot AI says:\n```js\nconst name = "GiftedTech";\n```\nUse `GiftedTech` in code, Cool Shot AI in prose.',
+    applied: ['product-names']
+  });
+  // A partial streamed answer can end inside a code block that is not closed yet
+  assert.equal(rewriteBrandText('GiftedTech:\n```\nGiftedTech', rules).text, 'Cool Shot AI:\n```\nGiftedTech');
+});
+
+test('reports which rules were applied', () => {
+  assert.deepEqual(rewriteBrandText('Nothing to change here.', rules).applied, []);
+  assert.deepEqual(rewriteBrandText('I was created by OpenAI at GiftedTech.', rules).applied, ['product-names', 'creator-claim']);
+});
+
+test('invalid patterns are skipped', (t) => {
+  t.mock.method(console, 'error', () => {});
+  assert.equal(compileBrandRule({ id: 'broken', pattern: '(', replacement: '' }, 0), null);
+  assert.equal(compileBrandRules({ rules: [{ pattern: '(' }, { pattern: 'Acme', replacement: 'Cool Shot' }] }).length, 1);
+  assert.equal(compileBrandRule({ pattern: 'Acme' }, 2).id, 'rule-3');
+});